@@ -1,28 +1,144 @@
 import GitManager from './git-manager.js';
+import BookmarkRestorer from './bookmark-restorer.js';
+import NetscapeBookmarks from './netscape-bookmarks.js';
+import BookmarkExporter from './bookmark-exporter.js';
+import BackupValidator from './backup-validator.js';
+import RepositoryChecker from './repository-checker.js';
+import HistoryCompactor from './history-compactor.js';
 
 class BookmarkTracker {
   constructor() {
     this.gitManager = new GitManager();
+    this.restorer = new BookmarkRestorer();
+    this.netscape = new NetscapeBookmarks();
+    this.exporter = new BookmarkExporter();
+    this.backupValidator = new BackupValidator(this.gitManager);
+    this.checker = new RepositoryChecker(this.gitManager);
+    this.compactor = new HistoryCompactor(this.gitManager);
     this.isInitialized = false;
+    this.isRestoring = false;
     this.pendingChanges = [];
     this.changeBuffer = null;
     this.bufferDelay = 1000; // 1 second delay to batch rapid changes
+    this.autoCommit = true;
+    this.initializing = null;
+
+    // Pending changes are journaled to storage because Chrome may stop the
+    // service worker (and its timers) at any moment
+    this.journalKey = 'pending_changes';
+    this.flushAlarm = 'flush-pending-changes';
+    this.journalLoaded = this.loadJournal();
+
+    // A browser import is committed in one piece once it ends; if no event
+    // arrives for this long the import is assumed to have died
+    this.importTimeout = 5 * 60 * 1000;
+
+    // With automatic retention on, the policy is applied once a day
+    this.retention = null;
+    this.retentionAlarm = 'apply-retention';
+
+    // Extensions can't add items to the browser's own bookmark menus, so
+    // history is offered for the link or page under the cursor instead
+    this.historyMenu = 'bookmark-history';
+
+    // Set once edits made while the extension wasn't loaded were checked for
+    this.externalCheckKey = 'external_changes_checked';
   }
 
   async initialize() {
     if (this.isInitialized) return;
-    
+
+    // Module load, startup and install can all ask for this at once
+    if (!this.initializing) {
+      this.initializing = this.runInitialization().finally(() => {
+        this.initializing = null;
+      });
+    }
+    return this.initializing;
+  }
+
+  async runInitialization() {
     try {
       await this.gitManager.initialize();
+      await this.loadSettings();
       await this.createInitialSnapshot();
-      this.setupBookmarkListeners();
+      this.setupSettingsListener();
       this.isInitialized = true;
       console.log('Bookmark Git Tracker initialized successfully');
+
+      // Commit whatever a previous worker journaled but never flushed
+      await this.journalLoaded;
+      if (this.pendingChanges.length > 0 && this.autoCommit) {
+        console.log(`Replaying ${this.pendingChanges.length} journaled bookmark changes`);
+        await this.processBufferedChanges();
+      }
+
+      await this.commitExternalChanges();
     } catch (error) {
       console.error('Failed to initialize Bookmark Git Tracker:', error);
     }
   }
 
+  /**
+   * Record edits made while the extension wasn't running (disabled, or
+   * synced in before startup) as their own commit instead of letting them
+   * slip into the next unrelated one. Runs once each time the extension
+   * is loaded, not on every worker wake-up. Skipped with auto-commit off,
+   * where uncommitted edits are expected, and while staged changes exist,
+   * since the two can't be told apart.
+   */
+  async commitExternalChanges() {
+    try {
+      // Session storage is cleared when the extension is disabled or
+      // reloaded, but survives the worker being stopped
+      const session = await chrome.storage.session.get([this.externalCheckKey]);
+      if (session[this.externalCheckKey]) return;
+      await chrome.storage.session.set({ [this.externalCheckKey]: true });
+
+      if (!this.autoCommit || this.pendingChanges.length > 0) return;
+
+      const stats = await this.gitManager.getRepositoryStats();
+      if (!stats.headCommit) return;
+
+      const bookmarkTree = await chrome.bookmarks.getTree();
+      const diff = await this.diffWithHead(bookmarkTree);
+      if (diff.changes.length === 0) return;
+
+      // An edit that arrived meanwhile would be mislabelled as external,
+      // and one already committed would be undone by this older tree
+      const current = await this.gitManager.getRepositoryStats();
+      if (this.pendingChanges.length > 0 || current.headCommit !== stats.headCommit) return;
+
+      await this.gitManager.createCommit(
+        bookmarkTree,
+        this.generateCommitMessage(diff, 'External changes detected'),
+        'system'
+      );
+      console.log(`Committed ${diff.changes.length} external bookmark changes`);
+    } catch (error) {
+      console.error('Failed to check for external changes:', error);
+    }
+  }
+
+  async loadJournal() {
+    try {
+      const result = await chrome.storage.local.get([this.journalKey]);
+      const journal = result[this.journalKey] || [];
+      // Events may already have arrived while the journal was being read
+      this.pendingChanges = [...journal, ...this.pendingChanges];
+    } catch (error) {
+      console.error('Failed to load pending change journal:', error);
+    }
+  }
+
+  async saveJournal() {
+    if (this.pendingChanges.length > 0) {
+      await chrome.storage.local.set({ [this.journalKey]: this.pendingChanges });
+    } else {
+      await chrome.storage.local.remove(this.journalKey);
+    }
+  }
+
   async createInitialSnapshot() {
     try {
       const bookmarkTree = await chrome.bookmarks.getTree();
@@ -41,6 +157,75 @@ class BookmarkTracker {
     }
   }
 
+  async loadSettings() {
+    const result = await chrome.storage.local.get(['extension_settings']);
+    this.applySettings(result.extension_settings || {});
+  }
+
+  applySettings(settings) {
+    this.autoCommit = settings.autoCommit ?? true;
+    this.bufferDelay = Math.max(1, Number(settings.commitDelay) || 1) * 1000;
+
+    this.retention = settings.retention || null;
+    if (this.retention?.automatic) {
+      // Every worker start lands here; keep an existing schedule
+      chrome.alarms.get(this.retentionAlarm).then(alarm => {
+        if (!alarm) chrome.alarms.create(this.retentionAlarm, { delayInMinutes: 60, periodInMinutes: 24 * 60 });
+      });
+    } else {
+      chrome.alarms.clear(this.retentionAlarm);
+    }
+  }
+
+  // Settings saved on the options page take effect without a reload
+  setupSettingsListener() {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes.extension_settings) return;
+
+      const wasAutoCommit = this.autoCommit;
+      this.applySettings(changes.extension_settings.newValue || {});
+
+      if (!this.autoCommit && this.changeBuffer) {
+        // Keep what's pending staged instead of committing it
+        clearTimeout(this.changeBuffer);
+        this.changeBuffer = null;
+      } else if (this.autoCommit && !wasAutoCommit && this.pendingChanges.length > 0) {
+        this.scheduleCommit();
+      }
+    });
+  }
+
+  // The timer handles the usual short delay while the worker is alive; the
+  // alarm (which can't fire sooner than 30 seconds) wakes a stopped worker
+  // so the journal still gets committed
+  scheduleCommit() {
+    if (this.changeBuffer) {
+      clearTimeout(this.changeBuffer);
+      this.changeBuffer = null;
+    }
+
+    // Mid-import only the backstop is armed, in case the import never ends
+    if (this.importInProgress()) {
+      chrome.alarms.create(this.flushAlarm, { when: Date.now() + this.importTimeout });
+      return;
+    }
+
+    this.changeBuffer = setTimeout(async () => {
+      await this.flushJournal();
+    }, this.bufferDelay);
+
+    chrome.alarms.create(this.flushAlarm, {
+      when: Date.now() + Math.max(this.bufferDelay, 30000)
+    });
+  }
+
+  async flushJournal() {
+    await this.initialize();
+    if (this.autoCommit) {
+      await this.processBufferedChanges();
+    }
+  }
+
   setupBookmarkListeners() {
     // Listen to bookmark creation
     chrome.bookmarks.onCreated.addListener(async (id, bookmark) => {
@@ -77,24 +262,35 @@ class BookmarkTracker {
     });
   }
 
+  // Whether the pending changes hold an import that hasn't ended yet
+  importInProgress() {
+    const imports = this.pendingChanges.filter(change => change.eventType.startsWith('import_'));
+    const last = this.pendingChanges[this.pendingChanges.length - 1];
+
+    return imports.length > 0 &&
+      imports[imports.length - 1].eventType === 'import_began' &&
+      Date.now() - last.timestamp < this.importTimeout;
+  }
+
   async handleBookmarkChange(eventType, details) {
+    // Changes made by a restore are recorded by the restore commit itself
+    if (this.isRestoring) return;
+
     try {
       // Add change to pending list
+      await this.journalLoaded;
       this.pendingChanges.push({
         timestamp: Date.now(),
         eventType,
         details
       });
+      await this.saveJournal();
 
-      // Clear existing buffer and set new one
-      if (this.changeBuffer) {
-        clearTimeout(this.changeBuffer);
+      // With auto-commit off, changes stay staged until committed from the popup
+      if (this.autoCommit) {
+        this.scheduleCommit();
       }
 
-      this.changeBuffer = setTimeout(async () => {
-        await this.processBufferedChanges();
-      }, this.bufferDelay);
-
     } catch (error) {
       console.error('Error handling bookmark change:', error);
     }
@@ -103,70 +299,213 @@ class BookmarkTracker {
   async processBufferedChanges() {
     if (this.pendingChanges.length === 0) return;
 
+    // Partial imports are never committed
+    if (this.importInProgress()) {
+      this.scheduleCommit();
+      return;
+    }
+
     try {
+      const changes = [...this.pendingChanges];
+
       // Get current bookmark tree
       const bookmarkTree = await chrome.bookmarks.getTree();
       
-      // Create commit message based on changes
-      const commitMessage = this.generateCommitMessage(this.pendingChanges);
-      
-      // Create Git commit
-      await this.gitManager.createCommit(
-        bookmarkTree,
-        commitMessage,
-        'user'
-      );
+      // Describe what changed since the last commit
+      const diff = await this.diffWithHead(bookmarkTree);
 
-      // Store change details in storage for history view
-      await this.storeChangeHistory(this.pendingChanges);
+      // Changes that cancel out, or that an earlier commit already holds
+      // (a replayed journal, late events from a restore), leave nothing to commit
+      if (diff.changes.length === 0) {
+        console.log(`No net changes in ${changes.length} bookmark changes, nothing committed`);
+      } else {
+        const isImport = this.containsImport(changes);
+        const commitMessage = this.generateCommitMessage(diff, isImport ? this.describeImport(diff) : null);
 
-      console.log(`Created commit for ${this.pendingChanges.length} bookmark changes`);
-      
-      // Clear pending changes
-      this.pendingChanges = [];
+        // Create Git commit
+        const hash = await this.gitManager.createCommit(
+          bookmarkTree,
+          commitMessage,
+          'user'
+        );
+        if (isImport) {
+          await this.tagImport(hash);
+        }
+
+        // Store change details in storage for history view
+        await this.storeChangeHistory(changes, commitMessage);
+
+        console.log(`Created commit for ${changes.length} bookmark changes`);
+      }
+
+      // Clear committed changes; anything that arrived meanwhile stays queued
+      this.pendingChanges = this.pendingChanges.slice(changes.length);
+      await this.saveJournal();
       this.changeBuffer = null;
+      if (this.pendingChanges.length === 0) {
+        await chrome.alarms.clear(this.flushAlarm);
+      }
 
     } catch (error) {
       console.error('Error processing buffered changes:', error);
     }
   }
 
-  generateCommitMessage(changes) {
-    if (changes.length === 1) {
-      const change = changes[0];
-      switch (change.eventType) {
-        case 'created':
-          return `Added bookmark: ${change.details.bookmark.title || change.details.bookmark.url || 'New folder'}`;
-        case 'removed':
-          return `Removed bookmark (ID: ${change.details.id})`;
+  /**
+   * Commit message built from the tree diff rather than the raw events, so
+   * it names titles and folders instead of ids. A single change becomes the
+   * subject on its own; a batch gets a short summary subject (or `subject`
+   * when given) and a body listing each change.
+   */
+  generateCommitMessage(diff, subject = null) {
+    const lines = this.describeChanges(diff.changes);
+
+    if (lines.length === 0) {
+      return subject;
+    }
+    if (lines.length === 1 && !subject) {
+      return lines[0];
+    }
+
+    const body = lines.map(line => `- ${line}`).join('\n');
+    return `${subject || this.summarizeChanges(diff.changes)}\n\n${body}`;
+  }
+
+  // One line per change; the contents of added or removed folders are
+  // counted against the folder instead of being listed one by one
+  describeChanges(changes) {
+    const folders = { added: new Map(), removed: new Map() };
+    for (const change of changes) {
+      if (folders[change.type] && change.kind === 'folder') {
+        folders[change.type].set(change.id, { parentId: change.parentId, items: 0 });
+      }
+    }
+
+    const listed = changes.filter(change => {
+      const parents = folders[change.type];
+      if (!parents || !parents.has(change.parentId)) return true;
+
+      // Credit every enclosing folder, so the outermost one counts them all
+      for (let folder = parents.get(change.parentId); folder; folder = parents.get(folder.parentId)) {
+        folder.items++;
+      }
+      return false;
+    });
+
+    const reordered = new Map();
+    const lines = [];
+
+    for (const change of listed) {
+      const name = this.describeNode(change);
+      const path = this.formatPath(change.path);
+
+      switch (change.type) {
+        case 'added':
+        case 'removed': {
+          const items = folders[change.type].get(change.id)?.items;
+          const contents = items ? ` (with ${items} ${items === 1 ? 'item' : 'items'})` : '';
+          const url = change.url && change.title ? ` (${change.url})` : '';
+          lines.push(change.type === 'added'
+            ? `Added ${name}${url}${contents} to ${path}`
+            : `Removed ${name}${url}${contents} from ${path}`);
+          break;
+        }
+        case 'renamed':
+          lines.push(`Renamed ${change.kind} "${change.oldTitle}" → "${change.title}" in ${path}`);
+          break;
+        case 'urlChanged':
+          lines.push(`Changed URL of ${name}: ${change.oldUrl} → ${change.url}`);
+          break;
         case 'moved':
-          return `Moved bookmark (ID: ${change.details.id})`;
-        case 'changed':
-          return `Modified bookmark (ID: ${change.details.id})`;
+          lines.push(`Moved ${name} from ${this.formatPath(change.oldPath)} → ${path}`);
+          break;
         case 'reordered':
-          return `Reordered bookmarks in folder (ID: ${change.details.id})`;
-        case 'import_began':
-          return 'Started bookmark import';
-        case 'import_ended':
-          return 'Completed bookmark import';
-        default:
-          return `Bookmark ${change.eventType}`;
+          reordered.set(path, (reordered.get(path) || 0) + 1);
+          break;
       }
-    } else {
-      const eventCounts = {};
-      changes.forEach(change => {
-        eventCounts[change.eventType] = (eventCounts[change.eventType] || 0) + 1;
-      });
-      
-      const summary = Object.entries(eventCounts)
-        .map(([event, count]) => `${count} ${event}`)
-        .join(', ');
-      
-      return `Bulk bookmark changes: ${summary}`;
+    }
+
+    for (const [path, count] of reordered) {
+      lines.push(`Reordered ${count} ${count === 1 ? 'item' : 'items'} in ${path}`);
+    }
+
+    return lines;
+  }
+
+  // Subject for a batch, e.g. "Added 3 bookmarks, moved 1 folder"
+  summarizeChanges(changes) {
+    const verbs = {
+      added: 'added',
+      removed: 'removed',
+      renamed: 'renamed',
+      urlChanged: 'changed the URL of',
+      moved: 'moved',
+      reordered: 'reordered'
+    };
+    const counts = {};
+    const nested = new Set(
+      changes.filter(change => change.kind === 'folder' && ['added', 'removed'].includes(change.type))
+        .map(change => `${change.type}:${change.id}`)
+    );
+
+    for (const change of changes) {
+      if (nested.has(`${change.type}:${change.parentId}`)) continue;
+      counts[change.type] = counts[change.type] || { bookmark: 0, folder: 0 };
+      counts[change.type][change.kind]++;
+    }
+
+    const summary = Object.keys(verbs)
+      .filter(type => counts[type])
+      .map(type => {
+        const items = ['bookmark', 'folder']
+          .filter(kind => counts[type][kind] > 0)
+          .map(kind => `${counts[type][kind]} ${kind}${counts[type][kind] === 1 ? '' : 's'}`);
+        return `${verbs[type]} ${items.join(' and ')}`;
+      })
+      .join(', ');
+
+    return summary.charAt(0).toUpperCase() + summary.substring(1);
+  }
+
+  describeNode(change) {
+    if (change.kind === 'folder') {
+      return `folder "${change.title || 'Untitled folder'}"`;
+    }
+    return `bookmark "${change.title || change.url}"`;
+  }
+
+  formatPath(path) {
+    return path && path.length > 0 ? path.join(' › ') : '(root)';
+  }
+
+  containsImport(changes) {
+    return changes.some(change => change.eventType === 'import_began');
+  }
+
+  // Subject for an import commit, e.g. "Imported 1250 bookmarks in 40 folders"
+  describeImport(diff) {
+    const { bookmarks, folders } = diff;
+    const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+    return folders.added > 0
+      ? `Imported ${plural(bookmarks.added, 'bookmark')} in ${plural(folders.added, 'folder')}`
+      : `Imported ${plural(bookmarks.added, 'bookmark')}`;
+  }
+
+  // Tag import commits ("import-20240131-142500") so they can be found and
+  // reverted as a unit
+  async tagImport(hash) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+
+    try {
+      const tags = await this.gitManager.getTags();
+      const name = tags[`import-${stamp}`] ? `import-${stamp}-${hash.substring(0, 8)}` : `import-${stamp}`;
+      await this.gitManager.createTag(name, hash);
+    } catch (error) {
+      console.error('Failed to tag import commit:', error);
     }
   }
 
-  async storeChangeHistory(changes) {
+  async storeChangeHistory(changes, commitMessage) {
     try {
       const result = await chrome.storage.local.get(['changeHistory']);
       const history = result.changeHistory || [];
@@ -174,7 +513,7 @@ class BookmarkTracker {
       const historyEntry = {
         timestamp: Date.now(),
         changes: changes,
-        commitMessage: this.generateCommitMessage(changes)
+        commitMessage
       };
       
       history.unshift(historyEntry);
@@ -190,6 +529,74 @@ class BookmarkTracker {
     }
   }
 
+  // Diff from HEAD's tree to `bookmarkTree`
+  async diffWithHead(bookmarkTree) {
+    const stats = await this.gitManager.getRepositoryStats();
+    const headTree = stats.headCommit ? await this.gitManager.getCommitData(stats.headCommit) : [];
+    return this.gitManager.calculateDiff(headTree, bookmarkTree);
+  }
+
+  // Method to list uncommitted changes: the live bookmarks compared with HEAD
+  async getWorkingTree() {
+    try {
+      const stats = await this.gitManager.getRepositoryStats();
+      const bookmarkTree = await chrome.bookmarks.getTree();
+
+      return {
+        success: true,
+        autoCommit: this.autoCommit,
+        branch: stats.currentBranch,
+        head: stats.headCommit,
+        pendingEvents: this.pendingChanges.length,
+        diff: await this.diffWithHead(bookmarkTree)
+      };
+    } catch (error) {
+      console.error('Error getting working tree:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to commit the working tree with a user-supplied message
+  async commitWorkingTree(message) {
+    try {
+      if (this.changeBuffer) {
+        clearTimeout(this.changeBuffer);
+        this.changeBuffer = null;
+      }
+
+      const working = await this.getWorkingTree();
+      if (!working.success) {
+        throw new Error(working.error);
+      }
+      if (working.diff.changes.length === 0) {
+        throw new Error('Nothing to commit');
+      }
+
+      const changes = [...this.pendingChanges];
+      const isImport = this.containsImport(changes);
+      const commitMessage = (message || '').trim() ||
+        this.generateCommitMessage(working.diff, isImport ? this.describeImport(working.diff) : null);
+
+      const bookmarkTree = await chrome.bookmarks.getTree();
+      const hash = await this.gitManager.createCommit(bookmarkTree, commitMessage, 'user');
+      if (isImport) {
+        await this.tagImport(hash);
+      }
+
+      this.pendingChanges = this.pendingChanges.slice(changes.length);
+      await this.saveJournal();
+      await chrome.alarms.clear(this.flushAlarm);
+      if (changes.length > 0) {
+        await this.storeChangeHistory(changes, commitMessage);
+      }
+
+      return { success: true, hash };
+    } catch (error) {
+      console.error('Error committing working tree:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Method to manually create a snapshot (called from popup)
   async createManualSnapshot(message = 'Manual bookmark snapshot') {
     try {
@@ -212,6 +619,92 @@ class BookmarkTracker {
     }
   }
 
+  // Method to get commit metadata along with its child commits
+  async getCommit(commitHash) {
+    try {
+      const commit = await this.gitManager.getCommit(commitHash);
+      if (!commit) {
+        throw new Error('Commit not found');
+      }
+      const children = await this.gitManager.getChildCommits(commitHash);
+      return { success: true, commit, children };
+    } catch (error) {
+      console.error('Error getting commit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to check a commit's hash and tree objects
+  async verifyCommit(commitHash) {
+    try {
+      return { success: true, ...(await this.gitManager.verifyCommit(commitHash)) };
+    } catch (error) {
+      console.error('Error verifying commit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to get the bookmark tree stored in a commit
+  async getCommitData(commitHash) {
+    try {
+      const bookmarkData = await this.gitManager.getCommitData(commitHash);
+      if (!bookmarkData) {
+        throw new Error('Commit data not found');
+      }
+      return { success: true, data: bookmarkData };
+    } catch (error) {
+      console.error('Error getting commit data:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to list the commits a time-travel view can step through, up to
+  // HEAD or to `startHash`
+  async getTimeline(startHash = null) {
+    try {
+      return { success: true, timeline: await this.gitManager.getTimeline(startHash) };
+    } catch (error) {
+      console.error('Error getting timeline:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to find the commit the bookmarks were at on a given date
+  async getCommitAt(timestamp, startHash = null) {
+    try {
+      const commit = await this.gitManager.findCommitAt(Number(timestamp), startHash);
+      if (!commit) {
+        throw new Error('There are no commits from before that date');
+      }
+      return { success: true, commit };
+    } catch (error) {
+      console.error('Error finding commit by date:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to diff two commits; without `fromHash` the commit's parent is used
+  async getCommitDiff(fromHash, toHash) {
+    try {
+      if (fromHash === undefined) {
+        const commit = await this.gitManager.getCommit(toHash);
+        if (!commit) {
+          throw new Error('Commit not found');
+        }
+        fromHash = commit.parent;
+      }
+
+      const diff = await this.gitManager.getCommitDiff(fromHash, toHash);
+      if (!diff) {
+        throw new Error('Commit data not found');
+      }
+      return { success: true, from: fromHash, to: toHash, diff };
+    } catch (error) {
+      console.error('Error getting commit diff:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Method to restore bookmarks from a specific commit
   async restoreFromCommit(commitHash) {
     try {
@@ -220,15 +713,394 @@ class BookmarkTracker {
         throw new Error('Commit data not found');
       }
 
-      // This is complex - we need to carefully replace the bookmark tree
-      // For now, we'll return the data and let the user manually import
-      return { success: true, data: bookmarkData };
+      // Commit anything still buffered so the restore can be undone
+      await this.flushBufferedChanges();
+      const summary = await this.applyBookmarkTree(bookmarkData);
+
+      // Record the restore as a new commit rather than moving HEAD back
+      const bookmarkTree = await chrome.bookmarks.getTree();
+      const hash = await this.gitManager.createCommit(
+        bookmarkTree,
+        `Restore bookmarks to ${commitHash.substring(0, 8)}`,
+        'restore'
+      );
+
+      return { success: true, hash, summary };
     } catch (error) {
       console.error('Error restoring from commit:', error);
       return { success: false, error: error.message };
     }
   }
 
+  /**
+   * Restore one folder or bookmark from a commit into the live bookmarks,
+   * either where it used to be or into `parentId`, and record a commit
+   * naming what was recovered
+   */
+  async restoreNode(commitHash, nodeId, parentId = null) {
+    try {
+      const bookmarkData = await this.gitManager.getCommitData(commitHash);
+      if (!bookmarkData) {
+        throw new Error('Commit data not found');
+      }
+
+      await this.flushBufferedChanges();
+      this.isRestoring = true;
+      let restored;
+      try {
+        restored = await this.restorer.restoreNode(bookmarkData, nodeId, parentId);
+      } finally {
+        this.isRestoring = false;
+      }
+
+      const bookmarkTree = await chrome.bookmarks.getTree();
+      const node = this.gitManager.flattenTree(bookmarkData).get(nodeId);
+      const live = this.gitManager.flattenTree(bookmarkTree).get(restored.id);
+      const kind = node.url ? 'bookmark' : 'folder';
+      const hash = await this.gitManager.createCommit(
+        bookmarkTree,
+        `Restore ${kind} "${node.title || node.url || 'Untitled'}" from ${commitHash.substring(0, 8)}\n\n` +
+        `Restored to ${[...live.path, live.title].join(' › ')}.`,
+        'restore'
+      );
+
+      return { success: true, hash, id: restored.id, summary: restored.summary };
+    } catch (error) {
+      console.error('Error restoring bookmark:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to list the live bookmark folders a restore can target
+  async getBookmarkFolders() {
+    try {
+      const nodes = this.gitManager.flattenTree(await chrome.bookmarks.getTree());
+      const folders = [...nodes.values()]
+        .filter(node => !node.url)
+        .map(node => ({ id: node.id, path: [...node.path, node.title] }));
+      return { success: true, folders };
+    } catch (error) {
+      console.error('Error listing bookmark folders:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Commit buffered edits before an action that creates commits or
+   * replaces the live bookmarks. With auto-commit off nothing is committed
+   * behind the user's back: such actions are refused until the held
+   * changes are committed. Actions that only work on stored commits pass
+   * `touchesLive = false` and leave held changes alone.
+   */
+  async flushBufferedChanges(touchesLive = true) {
+    if (this.changeBuffer) {
+      clearTimeout(this.changeBuffer);
+      this.changeBuffer = null;
+    }
+
+    if (this.autoCommit) {
+      await this.processBufferedChanges();
+      return;
+    }
+
+    if (touchesLive) {
+      const working = await this.getWorkingTree();
+      if (!working.success) {
+        throw new Error(working.error);
+      }
+      if (working.diff.changes.length > 0) {
+        throw new Error('You have uncommitted bookmark changes. Commit them in the "Changes" tab first, or turn on auto-commit');
+      }
+    }
+  }
+
+  // Make the live bookmarks match a stored tree without recording the
+  // resulting bookmark events as changes
+  async applyBookmarkTree(bookmarkData) {
+    this.isRestoring = true;
+    try {
+      return await this.restorer.applyTree(bookmarkData);
+    } finally {
+      this.isRestoring = false;
+    }
+  }
+
+  // Method to list branches
+  async getBranches() {
+    try {
+      const branches = await this.gitManager.listBranches();
+      return { success: true, branches };
+    } catch (error) {
+      console.error('Error getting branches:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to create a branch at the current commit, optionally switching to it
+  async createBranch(name, checkout = false) {
+    try {
+      // Held changes simply stay uncommitted on the new branch
+      await this.flushBufferedChanges(false);
+      const hash = await this.gitManager.createBranch(name);
+      if (checkout) {
+        await this.gitManager.checkoutBranch(name);
+      }
+      return { success: true, name, hash };
+    } catch (error) {
+      console.error('Error creating branch:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to rename a branch
+  async renameBranch(oldName, newName) {
+    try {
+      await this.gitManager.renameBranch(oldName, newName);
+      return { success: true, name: newName };
+    } catch (error) {
+      console.error('Error renaming branch:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to delete a branch
+  async deleteBranch(name, force = false) {
+    try {
+      await this.gitManager.deleteBranch(name, force);
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting branch:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to switch branches, replacing the live bookmarks with the
+  // branch's tip tree
+  async checkoutBranch(name) {
+    try {
+      const branches = await this.gitManager.getBranches();
+      if (!Object.prototype.hasOwnProperty.call(branches, name)) {
+        throw new Error(`Branch '${name}' does not exist`);
+      }
+
+      // Pending edits belong to the branch we are leaving
+      await this.flushBufferedChanges();
+
+      const tip = branches[name];
+      const summary = tip
+        ? await this.applyBookmarkTree(await this.gitManager.getCommitData(tip))
+        : null;
+      await this.gitManager.checkoutBranch(name);
+
+      return { success: true, name, hash: tip, summary };
+    } catch (error) {
+      console.error('Error checking out branch:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to push the current branch to the configured remote
+  async pushToRemote() {
+    try {
+      await this.flushBufferedChanges(false);
+      const result = await this.gitManager.push();
+      return { success: true, ...result };
+    } catch (error) {
+      console.error('Error pushing to remote:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to pull the current branch from the configured remote: fetch,
+  // then merge the remote tip like any other commit
+  async pullFromRemote(resolutions = {}) {
+    try {
+      await this.flushBufferedChanges();
+      const fetched = await this.gitManager.fetch();
+      const label = `remote-tracking branch 'origin/${fetched.branch}'`;
+      return await this.mergeCommit(fetched.hash, label, resolutions);
+    } catch (error) {
+      console.error('Error pulling from remote:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to merge another branch into the current one
+  async mergeBranch(name, resolutions = {}) {
+    try {
+      const branches = await this.gitManager.getBranches();
+      if (!branches[name]) {
+        throw new Error(`Branch '${name}' has no commits to merge`);
+      }
+      return await this.mergeCommit(branches[name], `branch '${name}'`, resolutions);
+    } catch (error) {
+      console.error('Error merging branch:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to preview a merge without changing anything
+  async previewMerge(commitHash, resolutions = {}) {
+    try {
+      const merge = await this.gitManager.prepareMerge(commitHash, resolutions);
+      delete merge.tree;
+      return { success: true, ...merge };
+    } catch (error) {
+      console.error('Error previewing merge:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Merge a commit into the current branch and apply the result to the
+   * live bookmarks. When conflicts are left unresolved nothing is changed
+   * and they are returned (status 'conflicts') so the user can pick sides.
+   */
+  async mergeCommit(commitHash, label, resolutions = {}) {
+    try {
+      await this.flushBufferedChanges();
+      const merge = await this.gitManager.prepareMerge(commitHash, resolutions);
+      const result = { success: true, status: merge.status, branch: merge.branch, theirs: merge.theirs };
+
+      if (merge.status === 'upToDate') {
+        return { ...result, hash: merge.ours };
+      }
+
+      if (merge.status === 'fastForward') {
+        const summary = await this.applyBookmarkTree(await this.gitManager.getCommitData(merge.theirs));
+        await this.gitManager.fastForward(merge.theirs);
+        return { ...result, hash: merge.theirs, summary };
+      }
+
+      if (merge.conflicts.some(conflict => !conflict.resolution)) {
+        return { ...result, status: 'conflicts', conflicts: merge.conflicts, label };
+      }
+
+      const summary = await this.applyBookmarkTree(merge.tree);
+      const bookmarkTree = await chrome.bookmarks.getTree();
+      const hash = await this.gitManager.createCommit(
+        bookmarkTree,
+        `Merge ${label} into ${merge.branch}`,
+        'merge',
+        [merge.theirs]
+      );
+
+      return { ...result, hash, summary, conflicts: merge.conflicts };
+    } catch (error) {
+      console.error('Error merging commit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Undo one commit's changes on the live bookmarks, keeping everything
+   * committed after it, and record a "Revert" commit. Parts changed again
+   * since can't be undone cleanly; they are left as they are and listed
+   * in the result and the commit message.
+   */
+  async revertCommit(commitHash) {
+    try {
+      await this.flushBufferedChanges();
+      const revert = await this.gitManager.prepareRevert(commitHash);
+
+      if (revert.diff.changes.length === 0) {
+        return { success: true, status: 'upToDate', conflicts: revert.conflicts };
+      }
+
+      const summary = await this.applyBookmarkTree(revert.tree);
+      const bookmarkTree = await chrome.bookmarks.getTree();
+      const hash = await this.gitManager.createCommit(
+        bookmarkTree,
+        this.revertMessage(revert.commit, revert.conflicts),
+        'revert'
+      );
+
+      return { success: true, status: 'reverted', hash, summary, conflicts: revert.conflicts };
+    } catch (error) {
+      console.error('Error reverting commit:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  revertMessage(commit, conflicts) {
+    const reasons = {
+      modified: 'changed again since',
+      moved: 'moved again since',
+      deleted: 'changed or deleted again since',
+      deletedParent: 'its folder changed since'
+    };
+    const lines = [
+      `Revert "${commit.message.split('\n')[0]}"`,
+      '',
+      `This reverts commit ${commit.hash}.`
+    ];
+
+    if (conflicts.length > 0) {
+      lines.push('', 'Not reverted:');
+      for (const conflict of conflicts) {
+        lines.push(`- ${conflict.kind === 'folder' ? 'Folder' : 'Bookmark'} "${conflict.title}": ${reasons[conflict.type] || 'changed again since'}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  // Method to list the commits that changed one bookmark or folder; with
+  // only a URL, its live bookmark (or the last one stored) is used
+  async getBookmarkHistory(nodeId, url = null) {
+    try {
+      if (!nodeId && url) {
+        const [live] = await chrome.bookmarks.search({ url });
+        nodeId = live ? live.id : null;
+      }
+
+      const history = await this.gitManager.getNodeHistory(nodeId, url);
+      if (!history.nodeId) {
+        throw new Error('This page has never been bookmarked');
+      }
+
+      let live = null;
+      try {
+        [live] = await chrome.bookmarks.get(history.nodeId);
+      } catch {
+        // Removed since; the history still shows its last stored state
+      }
+
+      return { success: true, ...history, live };
+    } catch (error) {
+      console.error('Error getting bookmark history:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to search bookmark titles and URLs across every commit; each
+  // result says whether its URL is still bookmarked
+  async searchHistory(query) {
+    try {
+      const { results, total } = await this.gitManager.searchIndex.search(query);
+
+      // A bookmark restored since has a new id but the same URL
+      for (const result of results) {
+        result.live = (await chrome.bookmarks.search({ url: result.url })).length > 0;
+      }
+
+      return { success: true, results, total };
+    } catch (error) {
+      console.error('Error searching history:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  setupContextMenu() {
+    chrome.contextMenus.removeAll(() => {
+      chrome.contextMenus.create({
+        id: this.historyMenu,
+        title: 'Bookmark history',
+        contexts: ['link', 'page']
+      });
+    });
+  }
+
   // Method to get repository statistics
   async getRepositoryStats() {
     try {
@@ -240,7 +1112,13 @@ class BookmarkTracker {
   }
 
   // Method to export repository
-  async exportRepository() {
+  // Without a format this is the full JSON backup; with one, a commit's
+  // tree (HEAD by default) rendered by the exporter
+  async exportRepository(format = null, commitHash = null) {
+    if (format) {
+      return this.exportBookmarks(format, commitHash);
+    }
+
     try {
       return await this.gitManager.exportRepository();
     } catch (error) {
@@ -249,27 +1127,212 @@ class BookmarkTracker {
     }
   }
 
+  async exportBookmarks(format, commitHash = null) {
+    try {
+      const hash = commitHash || (await this.gitManager.getRepositoryStats()).headCommit;
+      const bookmarkData = hash ? await this.gitManager.getCommitData(hash) : null;
+      if (!bookmarkData) {
+        throw new Error('Commit data not found');
+      }
+
+      const { content, mimeType, extension } = this.exporter.export(format, bookmarkData);
+      return {
+        success: true,
+        hash,
+        content,
+        mimeType,
+        fileName: `bookmarks-${hash.substring(0, 8)}.${extension}`
+      };
+    } catch (error) {
+      console.error('Error exporting bookmarks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Method to export history as a git bundle (base64, since messages are JSON)
+  async exportBundle() {
+    try {
+      const bundle = await this.gitManager.exportBundle();
+      return { success: true, data: this.toBase64(bundle) };
+    } catch (error) {
+      console.error('Error exporting git bundle:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Method to import a bookmarks.html file. Without `branch` the live
+   * bookmarks are replaced by the file's contents and committed like a
+   * restore; with it, the file is committed onto that new branch and the
+   * live bookmarks are left alone.
+   */
+  async importBookmarksHtml(html, fileName = 'bookmarks.html', branch = null) {
+    try {
+      const parsed = this.netscape.parse(html);
+      if (parsed.bookmarks === 0 && parsed.folders === 0) {
+        throw new Error('The file contains no bookmarks');
+      }
+
+      // Importing onto a new branch leaves the live bookmarks alone
+      await this.flushBufferedChanges(!branch);
+
+      const stats = await this.gitManager.getRepositoryStats();
+      const headTree = stats.headCommit
+        ? await this.gitManager.getCommitData(stats.headCommit)
+        : await chrome.bookmarks.getTree();
+      const imported = this.netscape.toBookmarkTree(parsed, headTree);
+      const subject = `Import ${fileName} (${parsed.bookmarks} bookmarks, ${parsed.folders} folders)`;
+
+      if (branch) {
+        const message = this.generateCommitMessage(this.gitManager.calculateDiff(headTree, imported), subject);
+        const hash = await this.gitManager.commitOnNewBranch(branch, imported, message);
+        await this.tagImport(hash);
+        return { success: true, hash, branch, bookmarks: parsed.bookmarks, folders: parsed.folders };
+      }
+
+      const summary = await this.applyBookmarkTree(imported);
+      const bookmarkTree = await chrome.bookmarks.getTree();
+      const hash = await this.gitManager.createCommit(
+        bookmarkTree,
+        this.generateCommitMessage(await this.diffWithHead(bookmarkTree), subject),
+        'import'
+      );
+      await this.tagImport(hash);
+
+      return { success: true, hash, summary, bookmarks: parsed.bookmarks, folders: parsed.folders };
+    } catch (error) {
+      console.error('Error importing bookmarks.html:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // Dry run of importRepository(): what the backup holds and what is wrong
+  // with it, without touching the current repository
+  async validateBackup(data) {
+    try {
+      const { report } = await this.backupValidator.prepare(data);
+      return { success: true, report };
+    } catch (error) {
+      console.error('Error validating backup:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Method to import repository
   async importRepository(data) {
     try {
+      // Nothing is overwritten unless the whole backup checks out
+      const { backup, report } = await this.backupValidator.prepare(data);
+      if (!report.valid) {
+        const problem = report.problems.find(item => item.severity === 'error');
+        return { success: false, error: `Backup is not valid: ${problem.message}`, report };
+      }
+
+      // Backups never hold the access token, so the remote this browser
+      // is already set up for is kept
+      const local = await chrome.storage.local.get([this.gitManager.configKey]);
+      const config = { ...(backup.config || {}) };
+      if (local[this.gitManager.configKey]?.remote) {
+        config.remote = local[this.gitManager.configKey].remote;
+      }
+
       // Reset current repository
       await this.gitManager.resetRepository();
-      
-      // Import the new data
+
+      // Import the new data, already migrated to the current format
       await chrome.storage.local.set({
-        [this.gitManager.repositoryKey]: data.repository,
-        [this.gitManager.commitsKey]: data.commits,
-        [this.gitManager.branchKey]: data.currentBranch || 'main',
-        [this.gitManager.configKey]: data.config || {}
+        [this.gitManager.repositoryKey]: backup.repository,
+        [this.gitManager.commitsKey]: backup.commits,
+        [this.gitManager.branchKey]: backup.currentBranch || 'main',
+        [this.gitManager.configKey]: config
       });
+      await this.gitManager.objectStore.putObjects(backup.objects);
       
-      return { success: true };
+      return { success: true, report };
     } catch (error) {
       console.error('Error importing repository:', error);
       return { success: false, error: error.message };
     }
   }
 
+  // Import a backup next to the local history instead of replacing it
+  async mergeBackup(data, prefix) {
+    try {
+      const { backup, report } = await this.backupValidator.prepare(data);
+      if (!report.valid) {
+        const problem = report.problems.find(item => item.severity === 'error');
+        return { success: false, error: `Backup is not valid: ${problem.message}`, report };
+      }
+
+      const summary = await this.gitManager.mergeHistory(backup, prefix);
+      return { success: true, summary, report };
+    } catch (error) {
+      console.error('Error merging backup:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async checkRepository() {
+    try {
+      const report = await this.checker.check();
+      return { success: true, report };
+    } catch (error) {
+      console.error('Error checking repository:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Apply the chosen repairs, then check again so the page shows what is left
+  async repairRepository(actions) {
+    try {
+      const repaired = await this.checker.repair(actions);
+      const report = await this.checker.check();
+      return { success: true, repaired, report };
+    } catch (error) {
+      console.error('Error repairing repository:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // How many commits and bytes the retention policy would remove
+  async previewRetention(policy) {
+    try {
+      const preview = await this.compactor.preview(policy || this.retention);
+      return { success: true, preview };
+    } catch (error) {
+      console.error('Error previewing retention:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async applyRetention(policy) {
+    try {
+      const result = await this.compactor.apply(policy || this.retention);
+      return { success: true, result };
+    } catch (error) {
+      console.error('Error applying retention:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Daily run; skipped while changes wait to be committed so none of them
+  // lands on a commit that is being rewritten
+  async runScheduledRetention() {
+    await this.initialize();
+    await this.journalLoaded;
+    if (!this.retention?.automatic || this.pendingChanges.length > 0) return;
+
+    await this.applyRetention(this.retention);
+  }
+
   // Method to reset repository
   async resetRepository() {
     try {
@@ -285,6 +1348,18 @@ class BookmarkTracker {
 // Initialize the tracker
 const tracker = new BookmarkTracker();
 
+// Listeners are registered synchronously so events that wake the worker
+// are delivered
+tracker.setupBookmarkListeners();
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name === tracker.flushAlarm) {
+    await tracker.flushJournal();
+  } else if (alarm.name === tracker.retentionAlarm) {
+    await tracker.runScheduledRetention();
+  }
+});
+
 // Handle extension startup
 chrome.runtime.onStartup.addListener(async () => {
   await tracker.initialize();
@@ -292,9 +1367,19 @@ chrome.runtime.onStartup.addListener(async () => {
 
 // Handle extension installation
 chrome.runtime.onInstalled.addListener(async () => {
+  tracker.setupContextMenu();
   await tracker.initialize();
 });
 
+chrome.contextMenus.onClicked.addListener((info) => {
+  if (info.menuItemId === tracker.historyMenu) {
+    const url = info.linkUrl || info.pageUrl;
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`bookmark.html?url=${encodeURIComponent(url)}`)
+    });
+  }
+});
+
 // Handle messages from popup/options
 chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
   try {
@@ -307,24 +1392,121 @@ chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
       case 'getCommitHistory':
         response = await tracker.getCommitHistory(request.limit);
         break;
+      case 'getCommit':
+        response = await tracker.getCommit(request.commitHash);
+        break;
+      case 'verifyCommit':
+        response = await tracker.verifyCommit(request.commitHash);
+        break;
+      case 'getCommitData':
+        response = await tracker.getCommitData(request.commitHash);
+        break;
+      case 'getTimeline':
+        response = await tracker.getTimeline(request.startHash || null);
+        break;
+      case 'getCommitAt':
+        response = await tracker.getCommitAt(request.timestamp, request.startHash || null);
+        break;
+      case 'getCommitDiff':
+        response = await tracker.getCommitDiff(request.from, request.to);
+        break;
       case 'restoreFromCommit':
         response = await tracker.restoreFromCommit(request.commitHash);
         break;
+      case 'restoreNode':
+        response = await tracker.restoreNode(request.commitHash, request.nodeId, request.parentId || null);
+        break;
+      case 'getBookmarkFolders':
+        response = await tracker.getBookmarkFolders();
+        break;
+      case 'searchHistory':
+        response = await tracker.searchHistory(request.query);
+        break;
+      case 'getBookmarkHistory':
+        response = await tracker.getBookmarkHistory(request.nodeId, request.url);
+        break;
       case 'getStatus':
         response = {
           initialized: tracker.isInitialized,
-          pendingChanges: tracker.pendingChanges.length
+          pendingChanges: tracker.pendingChanges.length,
+          autoCommit: tracker.autoCommit
         };
         break;
+      case 'getWorkingTree':
+        response = await tracker.getWorkingTree();
+        break;
+      case 'commitWorkingTree':
+        response = await tracker.commitWorkingTree(request.message);
+        break;
       case 'getRepositoryStats':
         response = await tracker.getRepositoryStats();
         break;
       case 'exportRepository':
-        response = await tracker.exportRepository();
+        response = await tracker.exportRepository(request.format, request.commitHash);
+        break;
+      case 'getExportFormats':
+        response = { success: true, formats: tracker.exporter.listFormats() };
+        break;
+      case 'exportBundle':
+        response = await tracker.exportBundle();
+        break;
+      case 'importBookmarksHtml':
+        response = await tracker.importBookmarksHtml(request.html, request.fileName, request.branch);
+        break;
+      case 'getBranches':
+        response = await tracker.getBranches();
+        break;
+      case 'createBranch':
+        response = await tracker.createBranch(request.name, request.checkout);
+        break;
+      case 'renameBranch':
+        response = await tracker.renameBranch(request.oldName, request.newName);
+        break;
+      case 'deleteBranch':
+        response = await tracker.deleteBranch(request.name, request.force);
+        break;
+      case 'checkoutBranch':
+        response = await tracker.checkoutBranch(request.name);
+        break;
+      case 'pushToRemote':
+        response = await tracker.pushToRemote();
+        break;
+      case 'pullFromRemote':
+        response = await tracker.pullFromRemote(request.resolutions);
+        break;
+      case 'mergeBranch':
+        response = await tracker.mergeBranch(request.name, request.resolutions);
+        break;
+      case 'previewMerge':
+        response = await tracker.previewMerge(request.commitHash, request.resolutions);
+        break;
+      case 'revertCommit':
+        response = await tracker.revertCommit(request.commitHash);
+        break;
+      case 'mergeCommit':
+        response = await tracker.mergeCommit(request.commitHash, request.label, request.resolutions);
+        break;
+      case 'validateBackup':
+        response = await tracker.validateBackup(request.data);
         break;
       case 'importRepository':
         response = await tracker.importRepository(request.data);
         break;
+      case 'mergeBackup':
+        response = await tracker.mergeBackup(request.data, request.prefix);
+        break;
+      case 'checkRepository':
+        response = await tracker.checkRepository();
+        break;
+      case 'repairRepository':
+        response = await tracker.repairRepository(request.repairs);
+        break;
+      case 'previewRetention':
+        response = await tracker.previewRetention(request.policy);
+        break;
+      case 'applyRetention':
+        response = await tracker.applyRetention(request.policy);
+        break;
       case 'resetRepository':
         response = await tracker.resetRepository();
         break;
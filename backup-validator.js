@@ -0,0 +1,350 @@
+/**
+ * Backup Validator
+ * Checks a repository backup (the JSON written by exportRepository) before
+ * it replaces anything: older backup versions are migrated in memory first,
+ * then every commit, parent link, tree object and ref is verified.
+ */
+export default class BackupValidator {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+    this.objectStore = gitManager.objectStore;
+    this.maxProblems = 100;
+
+    // Keyed by the backup's `version`; each step returns the next version
+    //   1.0.0: full bookmark tree on every commit, home-grown ids
+    //   2.0.0: trees in shared objects, ids not yet git hashes
+    //   3.0.0: git object and commit hashes throughout
+    this.migrations = {
+      '1.0.0': (backup) => this.migrateFromV1(backup),
+      '2.0.0': (backup) => this.migrateFromV2(backup)
+    };
+  }
+
+  /**
+   * Dry run: migrate and check `data` without touching storage.
+   * Returns { backup, report }; `backup` is the migrated copy to import
+   * (null when it couldn't be read at all) and `report` holds
+   * { valid, version, migrations, commits, branches, currentBranch,
+   *   firstCommit, lastCommit, problems, truncated }.
+   */
+  async prepare(data) {
+    const report = {
+      valid: false,
+      version: data?.version || null,
+      migrations: [],
+      commits: 0,
+      branches: [],
+      currentBranch: null,
+      firstCommit: null,
+      lastCommit: null,
+      problems: [],
+      truncated: 0
+    };
+
+    if (!this.checkShape(data, report)) {
+      return { backup: null, report };
+    }
+
+    if (this.hasCycle(data.commits, report)) {
+      return { backup: null, report };
+    }
+
+    let backup = structuredClone(data);
+    try {
+      while (backup.version !== this.gitManager.backupVersion) {
+        const from = backup.version;
+        backup = await this.migrations[from](backup);
+        report.migrations.push(`${from} → ${backup.version}`);
+      }
+    } catch (error) {
+      this.addProblem(report, 'error', `Migrating from version ${backup.version} failed: ${error.message}`);
+      return { backup: null, report };
+    }
+
+    await this.checkCommits(backup, report);
+    await this.checkTrees(backup, report);
+    this.checkRefs(backup, report);
+
+    const timestamps = Object.values(backup.commits)
+      .map(commit => commit?.committer?.timestamp)
+      .filter(Number.isFinite);
+    report.commits = Object.keys(backup.commits).length;
+    report.branches = Object.keys(backup.repository.branches);
+    report.currentBranch = backup.currentBranch || null;
+    report.firstCommit = timestamps.length > 0 ? Math.min(...timestamps) : null;
+    report.lastCommit = timestamps.length > 0 ? Math.max(...timestamps) : null;
+    report.valid = !report.problems.some(problem => problem.severity === 'error');
+
+    return { backup, report };
+  }
+
+  checkShape(data, report) {
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    if (!isObject(data)) {
+      this.addProblem(report, 'error', 'The file is not a repository backup');
+    } else if (!data.version) {
+      this.addProblem(report, 'error', 'The backup has no version');
+    } else if (data.version !== this.gitManager.backupVersion && !this.migrations[data.version]) {
+      this.addProblem(report, 'error', `Unknown backup version ${data.version}; it may come from a newer release`);
+    } else if (!isObject(data.repository) || !isObject(data.repository.branches)) {
+      this.addProblem(report, 'error', 'The backup has no repository or branch list');
+    } else if (!isObject(data.commits)) {
+      this.addProblem(report, 'error', 'The backup has no commits');
+    } else if (data.objects !== undefined && !isObject(data.objects)) {
+      this.addProblem(report, 'error', 'The backup object store is malformed');
+    } else {
+      return true;
+    }
+    return false;
+  }
+
+  // A parent chain that loops back on itself can't come from real history
+  // and would send the migrations round in circles
+  hasCycle(commits, report) {
+    const state = new Map();
+    const visit = (hash) => {
+      const stack = [[hash, 0]];
+      state.set(hash, 'active');
+
+      while (stack.length > 0) {
+        const frame = stack[stack.length - 1];
+        const parents = this.parentsOf(commits[frame[0]]).filter(parent => commits[parent]);
+
+        if (frame[1] >= parents.length) {
+          state.set(frame[0], 'done');
+          stack.pop();
+          continue;
+        }
+
+        const parent = parents[frame[1]++];
+        if (state.get(parent) === 'active') {
+          this.addProblem(report, 'error', 'Commit history contains a cycle', String(parent).substring(0, 8));
+          return true;
+        }
+        if (!state.has(parent)) {
+          state.set(parent, 'active');
+          stack.push([parent, 0]);
+        }
+      }
+      return false;
+    };
+
+    for (const hash of Object.keys(commits)) {
+      if (!state.has(hash) && visit(hash)) return true;
+    }
+    return false;
+  }
+
+  // Commit fields, hash integrity and parent links
+  async checkCommits(backup, report) {
+    const commits = backup.commits;
+    const isHash = (value) => typeof value === 'string' && /^[0-9a-f]{40}$/.test(value);
+    const isSignature = (value) => value && typeof value.name === 'string' && Number.isFinite(value.timestamp);
+
+    for (const [hash, commit] of Object.entries(commits)) {
+      const short = hash.substring(0, 8);
+
+      if (!commit || typeof commit.message !== 'string' || !isSignature(commit.author) ||
+        !isSignature(commit.committer) || !isHash(commit.tree)) {
+        this.addProblem(report, 'error', 'Commit is missing its message, author, committer or tree', short);
+        continue;
+      }
+
+      if (commit.hash !== hash || (await this.gitManager.hashCommit(commit)) !== hash) {
+        this.addProblem(report, 'error', 'Commit content does not match its hash', short);
+      }
+
+      for (const parent of this.parentsOf(commit)) {
+        if (!commits[parent]) {
+          this.addProblem(report, 'error', `Parent ${String(parent).substring(0, 8)} is missing`, short);
+        }
+      }
+    }
+  }
+
+  // Every tree object reachable from a commit must exist, match its hash
+  // and have the layout the object store writes
+  async checkTrees(backup, report) {
+    const objects = backup.objects || {};
+    const checked = new Set();
+
+    for (const [hash, commit] of Object.entries(backup.commits)) {
+      if (!commit?.tree || checked.has(commit.tree)) continue;
+
+      const pending = [commit.tree];
+      checked.add(commit.tree);
+      while (pending.length > 0) {
+        const objectHash = pending.pop();
+        const object = objects[objectHash];
+        const where = `object ${objectHash.substring(0, 8)}`;
+
+        if (!object) {
+          this.addProblem(report, 'error', `Tree is missing ${where}`, hash.substring(0, 8));
+          continue;
+        }
+        if (!this.isWellFormed(object)) {
+          this.addProblem(report, 'error', `Malformed ${where}`, hash.substring(0, 8));
+          continue;
+        }
+        if (!(await this.objectStore.verifyObject(objectHash, object))) {
+          this.addProblem(report, 'error', `Corrupt ${where}`, hash.substring(0, 8));
+        }
+
+        for (const entry of object.type === 'tree' ? object.entries : []) {
+          if (!checked.has(entry.hash)) {
+            checked.add(entry.hash);
+            pending.push(entry.hash);
+          }
+        }
+      }
+    }
+
+    const unused = Object.keys(objects).filter(hash => !checked.has(hash)).length;
+    if (unused > 0) {
+      this.addProblem(report, 'warning', `${unused} stored objects are not used by any commit and will be skipped`);
+      for (const hash of Object.keys(objects)) {
+        if (!checked.has(hash)) delete objects[hash];
+      }
+    }
+  }
+
+  isWellFormed(object) {
+    if (object.type === 'blob') {
+      if (typeof object.content !== 'string') return false;
+      try {
+        JSON.parse(object.content);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+
+    return object.type === 'tree' && Array.isArray(object.entries) && object.entries.every(entry =>
+      entry && ['100644', '040000'].includes(entry.mode) && typeof entry.name === 'string' &&
+      typeof entry.hash === 'string' && /^[0-9a-f]{40}$/.test(entry.hash)
+    );
+  }
+
+  // HEAD, branches and tags must point at commits in the backup
+  checkRefs(backup, report) {
+    const { repository, commits } = backup;
+    const exists = (hash) => Boolean(commits[hash]);
+
+    if (repository.head && !exists(repository.head)) {
+      this.addProblem(report, 'error', `HEAD points at missing commit ${repository.head.substring(0, 8)}`);
+    }
+    if (!repository.head && Object.keys(commits).length > 0) {
+      this.addProblem(report, 'error', 'The backup has commits but no HEAD');
+    }
+
+    for (const [name, tip] of Object.entries(repository.branches)) {
+      if (tip && !exists(tip)) {
+        this.addProblem(report, 'error', `Branch '${name}' points at missing commit ${tip.substring(0, 8)}`);
+      }
+    }
+    for (const [name, hash] of Object.entries(repository.tags || {})) {
+      if (!exists(hash)) {
+        this.addProblem(report, 'warning', `Tag '${name}' points at a missing commit and will be dropped`);
+        delete repository.tags[name];
+      }
+    }
+
+    if (backup.currentBranch && !Object.prototype.hasOwnProperty.call(repository.branches, backup.currentBranch)) {
+      this.addProblem(report, 'warning', `Current branch '${backup.currentBranch}' does not exist; 'main' will be used`);
+      backup.currentBranch = 'main';
+      if (!Object.prototype.hasOwnProperty.call(repository.branches, 'main')) {
+        repository.branches.main = repository.head || null;
+      }
+    }
+
+    const tips = [repository.head, ...Object.values(repository.branches), ...Object.values(repository.tags || {})]
+      .filter(exists);
+    const reachable = this.gitManager.collectAncestors(tips, commits);
+    const orphaned = Object.keys(commits).filter(hash => !reachable.has(hash)).length;
+    if (orphaned > 0) {
+      this.addProblem(report, 'warning', `${orphaned} commits are not on any branch`);
+    }
+  }
+
+  parentsOf(commit) {
+    return commit?.parents || (commit?.parent ? [commit.parent] : []);
+  }
+
+  addProblem(report, severity, message, commit = null) {
+    if (report.problems.length >= this.maxProblems) {
+      report.truncated++;
+      if (severity === 'error' && !report.problems.some(problem => problem.severity === 'error')) {
+        report.problems[report.problems.length - 1] = { severity, message, commit };
+      }
+      return;
+    }
+    report.problems.push({ severity, message, commit });
+  }
+
+  // 1.0.0 -> 2.0.0: move each commit's full tree into shared objects
+  async migrateFromV1(backup) {
+    const objects = new Map(Object.entries(backup.objects || {}));
+
+    for (const commit of Object.values(backup.commits)) {
+      if (commit?.data) {
+        const root = Array.isArray(commit.data) ? commit.data[0] : commit.data;
+        commit.tree = await this.objectStore.serializeFolder(root, objects);
+        delete commit.data;
+      }
+    }
+
+    backup.objects = Object.fromEntries(objects);
+    backup.repository.formatVersion = 2;
+    backup.version = '2.0.0';
+    return backup;
+  }
+
+  // 2.0.0 -> 3.0.0: recompute every tree and commit id as a git hash,
+  // oldest first so parents are renamed before their children
+  async migrateFromV2(backup) {
+    const oldObjects = new Map(Object.entries(backup.objects || {}));
+    const objects = new Map();
+    const renamed = new Map();
+    const commits = {};
+
+    for (const hash of this.gitManager.topologicalOrder(backup.commits)) {
+      const commit = backup.commits[hash];
+      if (!commit?.tree || !oldObjects.has(commit.tree)) {
+        throw new Error(`commit ${hash.substring(0, 8)} has no readable tree`);
+      }
+
+      let root;
+      try {
+        root = this.objectStore.buildFolder(commit.tree, oldObjects);
+      } catch (error) {
+        throw new Error(`commit ${hash.substring(0, 8)} has a damaged tree`);
+      }
+
+      const updated = {
+        ...commit,
+        parent: commit.parent ? (renamed.get(commit.parent) || commit.parent) : null,
+        tree: await this.objectStore.serializeFolder(root, objects)
+      };
+      updated.hash = await this.gitManager.hashCommit(updated);
+
+      renamed.set(hash, updated.hash);
+      commits[updated.hash] = updated;
+    }
+
+    const repository = backup.repository;
+    repository.head = repository.head ? (renamed.get(repository.head) || repository.head) : null;
+    for (const [branch, tip] of Object.entries(repository.branches)) {
+      repository.branches[branch] = tip ? (renamed.get(tip) || tip) : null;
+    }
+    for (const [tag, hash] of Object.entries(repository.tags || {})) {
+      repository.tags[tag] = renamed.get(hash) || hash;
+    }
+    repository.formatVersion = 3;
+
+    backup.commits = commits;
+    backup.objects = Object.fromEntries(objects);
+    backup.version = '3.0.0';
+    return backup;
+  }
+}
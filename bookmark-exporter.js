@@ -0,0 +1,234 @@
+import NetscapeBookmarks from './netscape-bookmarks.js';
+
+/**
+ * Bookmark Exporter
+ * Renders a bookmark tree (chrome.bookmarks.getTree() shape) in formats
+ * other tools understand. Formats are registered by id, so adding one is a
+ * matter of calling register() with a render function.
+ */
+export default class BookmarkExporter {
+  constructor() {
+    this.netscape = new NetscapeBookmarks();
+    this.formats = new Map();
+
+    this.register('html', {
+      label: 'bookmarks.html (Chrome, Firefox, Safari, Edge)',
+      extension: 'html',
+      mimeType: 'text/html',
+      render: (bookmarkData) => this.netscape.serialize(bookmarkData)
+    });
+    this.register('firefox-json', {
+      label: 'Firefox bookmarks.json',
+      extension: 'json',
+      mimeType: 'application/json',
+      render: (bookmarkData) => this.renderFirefoxJson(bookmarkData)
+    });
+    this.register('opml', {
+      label: 'OPML outline',
+      extension: 'opml',
+      mimeType: 'text/x-opml',
+      render: (bookmarkData) => this.renderOpml(bookmarkData)
+    });
+    this.register('markdown', {
+      label: 'Markdown outline',
+      extension: 'md',
+      mimeType: 'text/markdown',
+      render: (bookmarkData) => this.renderMarkdown(bookmarkData)
+    });
+    this.register('csv', {
+      label: 'CSV (title, URL, folder, date added)',
+      extension: 'csv',
+      mimeType: 'text/csv',
+      render: (bookmarkData) => this.renderCsv(bookmarkData)
+    });
+  }
+
+  register(id, format) {
+    this.formats.set(id, { id, ...format });
+  }
+
+  // [{ id, label, extension }] for building format pickers
+  listFormats() {
+    return [...this.formats.values()].map(({ id, label, extension }) => ({ id, label, extension }));
+  }
+
+  /**
+   * Render `bookmarkData` in the format `id`.
+   * Returns { content, mimeType, extension }.
+   */
+  export(id, bookmarkData) {
+    const format = this.formats.get(id);
+    if (!format) {
+      throw new Error(`Unknown export format '${id}'`);
+    }
+
+    return {
+      content: format.render(bookmarkData),
+      mimeType: format.mimeType,
+      extension: format.extension
+    };
+  }
+
+  rootFolders(bookmarkData) {
+    const root = Array.isArray(bookmarkData) ? bookmarkData[0] : bookmarkData;
+    return root?.children || [];
+  }
+
+  /**
+   * Firefox's places backup format (what "Backup..." in the Library window
+   * writes). The permanent folders map onto Firefox's toolbar, unfiled
+   * ("Other Bookmarks") and mobile roots; times are in microseconds.
+   */
+  renderFirefoxJson(bookmarkData) {
+    const roots = {
+      'bookmarks-bar': { guid: 'toolbar_____', title: 'toolbar', root: 'toolbarFolder' },
+      other: { guid: 'unfiled_____', title: 'unfiled', root: 'unfiledBookmarksFolder' },
+      mobile: { guid: 'mobile______', title: 'mobile', root: 'mobileFolder' }
+    };
+    let nextId = 1;
+    const micro = (timestamp) => (timestamp || Date.now()) * 1000;
+    const guid = () => `bgt${String(nextId).padStart(9, '0')}`;
+
+    const convert = (node, index) => {
+      const base = {
+        guid: guid(),
+        title: node.title || '',
+        index,
+        dateAdded: micro(node.dateAdded),
+        lastModified: micro(node.dateGroupModified || node.dateAdded),
+        id: nextId++
+      };
+
+      if (node.url !== undefined) {
+        return { ...base, typeCode: 1, type: 'text/x-moz-place', uri: node.url };
+      }
+      return {
+        ...base,
+        typeCode: 2,
+        type: 'text/x-moz-place-container',
+        children: (node.children || []).map(convert)
+      };
+    };
+
+    const now = micro();
+    const container = (fields, index, children) => ({
+      ...fields,
+      index,
+      dateAdded: now,
+      lastModified: now,
+      id: nextId++,
+      typeCode: 2,
+      type: 'text/x-moz-place-container',
+      children
+    });
+
+    const placesRoot = container({ guid: 'root________', title: '', root: 'placesRoot' }, 0, []);
+    placesRoot.children.push(container({ guid: 'menu________', title: 'menu', root: 'bookmarksMenuFolder' }, 0, []));
+
+    const extra = [];
+    this.rootFolders(bookmarkData).forEach((folder, i) => {
+      const role = folder.folderType || ['bookmarks-bar', 'other', 'mobile'][i];
+      if (roots[role]) {
+        const target = container(roots[role], placesRoot.children.length, []);
+        target.children = (folder.children || []).map(convert);
+        placesRoot.children.push(target);
+      } else if (folder.children && folder.children.length > 0) {
+        extra.push(folder);
+      }
+    });
+
+    // Anything Firefox has no root for ends up under "Other Bookmarks"
+    const unfiled = placesRoot.children.find(child => child.guid === 'unfiled_____');
+    for (const folder of extra) {
+      unfiled?.children.push(convert(folder, unfiled.children.length));
+    }
+
+    return JSON.stringify(placesRoot, null, 2);
+  }
+
+  renderOpml(bookmarkData) {
+    const date = (timestamp) => new Date(timestamp || Date.now()).toUTCString();
+    const outline = (node, depth) => {
+      const pad = '  '.repeat(depth);
+      if (node.url !== undefined) {
+        return [`${pad}<outline text="${this.escapeXml(node.title || node.url)}" type="link" url="${this.escapeXml(node.url)}" created="${date(node.dateAdded)}"/>`];
+      }
+      const children = (node.children || []).flatMap(child => outline(child, depth + 1));
+      const open = `${pad}<outline text="${this.escapeXml(node.title || '')}"`;
+      return children.length > 0
+        ? [`${open}>`, ...children, `${pad}</outline>`]
+        : [`${open}/>`];
+    };
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      '    <title>Bookmarks</title>',
+      `    <dateCreated>${date()}</dateCreated>`,
+      '  </head>',
+      '  <body>',
+      ...this.rootFolders(bookmarkData).flatMap(folder => outline(folder, 2)),
+      '  </body>',
+      '</opml>',
+      ''
+    ].join('\n');
+  }
+
+  // Permanent folders become headings, everything inside a nested list
+  renderMarkdown(bookmarkData) {
+    const escape = (text) => text.replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    const item = (node, depth) => {
+      const pad = '  '.repeat(depth);
+      if (node.url !== undefined) {
+        return [`${pad}- [${escape(node.title || node.url)}](<${node.url.replace(/[<>\s]/g, encodeURIComponent)}>)`];
+      }
+      return [
+        `${pad}- **${escape(node.title || 'Untitled folder')}**`,
+        ...(node.children || []).flatMap(child => item(child, depth + 1))
+      ];
+    };
+
+    const sections = this.rootFolders(bookmarkData)
+      .filter(folder => folder.children && folder.children.length > 0)
+      .map(folder => [
+        `## ${escape(folder.title || 'Bookmarks')}`,
+        '',
+        ...folder.children.flatMap(child => item(child, 0))
+      ].join('\n'));
+
+    return `# Bookmarks\n\n${sections.join('\n\n')}\n`;
+  }
+
+  renderCsv(bookmarkData) {
+    const rows = [['Title', 'URL', 'Folder', 'Date Added']];
+    const visit = (node, path) => {
+      if (node.url !== undefined) {
+        rows.push([
+          node.title || '',
+          node.url,
+          path.join(' / '),
+          node.dateAdded ? new Date(node.dateAdded).toISOString() : ''
+        ]);
+        return;
+      }
+      for (const child of node.children || []) {
+        visit(child, [...path, node.title || '']);
+      }
+    };
+    for (const folder of this.rootFolders(bookmarkData)) {
+      visit(folder, []);
+    }
+
+    const cell = (value) => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return `${rows.map(row => row.map(cell).join(',')).join('\r\n')}\r\n`;
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Bookmark Restorer
+ * Rebuilds the live bookmark tree from a stored snapshot through the
+ * chrome.bookmarks API, reusing existing nodes so their ids stay stable
+ */
+export default class BookmarkRestorer {
+  /**
+   * Make the live bookmarks match `snapshot` (the array returned by
+   * chrome.bookmarks.getTree() at commit time).
+   * Nodes are matched by id first, then by URL (bookmarks) or by title
+   * within the same parent (folders); everything else is created or removed.
+   */
+  async applyTree(snapshot) {
+    const targetRoot = Array.isArray(snapshot) ? snapshot[0] : snapshot;
+    if (!targetRoot || !Array.isArray(targetRoot.children)) {
+      throw new Error('Snapshot has no bookmark tree');
+    }
+
+    const [liveRoot] = await chrome.bookmarks.getTree();
+    const state = this.createState();
+
+    this.indexLiveTree(liveRoot, state);
+    this.collectIdMatches(targetRoot, state);
+
+    // Permanent folders (bookmarks bar, other, mobile) can't be created,
+    // renamed or removed, so they are paired up front and only their
+    // contents are synchronised.
+    const liveFolders = liveRoot.children || [];
+    const targetFolders = targetRoot.children || [];
+
+    for (let i = 0; i < targetFolders.length; i++) {
+      const target = targetFolders[i];
+      if (target.unmodifiable) continue;
+
+      const live = liveFolders.find(folder => folder.id === target.id) ||
+        (!liveFolders[i]?.unmodifiable ? liveFolders[i] : null);
+      if (!live || state.claimed.has(live.id)) continue;
+
+      state.claimed.add(live.id);
+      await this.syncChildren(target.children || [], live.id, state);
+    }
+
+    await this.removeUnclaimed(liveRoot, state);
+
+    return state.summary;
+  }
+
+  /**
+   * Bring back a single folder or bookmark from `snapshot` without touching
+   * anything outside it. It goes into `parentId` when given, otherwise back
+   * where it was in the snapshot, recreating any folders above it that have
+   * since been removed. If the node still exists it is moved there and its
+   * contents from the snapshot are put back; anything added since is kept.
+   * If not, a copy is created.
+   * Returns { id, summary }.
+   */
+  async restoreNode(snapshot, nodeId, parentId = null) {
+    const targetRoot = Array.isArray(snapshot) ? snapshot[0] : snapshot;
+    const path = targetRoot ? this.findPath(targetRoot, nodeId) : null;
+    if (!path) {
+      throw new Error('Bookmark not found in this commit');
+    }
+    if (path.length < 2) {
+      throw new Error('Choose a folder or bookmark to restore');
+    }
+
+    const [liveRoot] = await chrome.bookmarks.getTree();
+    const all = this.createState();
+    this.indexLiveTree(liveRoot, all);
+
+    const state = this.createState();
+    const target = path[path.length - 1];
+    const original = parentId === null;
+    let index;
+
+    if (original) {
+      ({ parentId, index } = await this.restoreAncestors(path, liveRoot.id, all, state.summary));
+    } else if (!all.live.has(parentId) || all.live.get(parentId).node.url) {
+      throw new Error('Destination folder not found');
+    }
+
+    // Back in its original folder, a node with the same URL or folder
+    // title stands in for one that was removed and recreated since
+    let entry = all.live.get(target.id);
+    if (!(entry && this.isSameKind(entry.node, target)) && original) {
+      const pool = target.url ? all.byUrl.get(target.url) : all.byFolder.get(`${parentId}/${target.title}`);
+      const match = (pool || []).find(node => node.parentId === parentId);
+      entry = match ? all.live.get(match.id) : null;
+    }
+    const live = entry && this.isSameKind(entry.node, target) ? entry : null;
+
+    // Permanent folders can't be moved and a folder can't go inside
+    // itself, so those cases get a fresh copy instead
+    const reuse = live &&
+      (live.depth > 1 ? !this.isWithin(parentId, live.node.id, all) : live.node.parentId === parentId);
+
+    if (!reuse) {
+      const siblings = await chrome.bookmarks.getChildren(parentId);
+      const created = await chrome.bookmarks.create({
+        parentId,
+        ...(index !== undefined ? { index: Math.min(index, siblings.length) } : {}),
+        title: target.title || '',
+        ...(target.url ? { url: target.url } : {})
+      });
+      state.summary.created++;
+      if (!target.url) {
+        await this.syncChildren(target.children || [], created.id, state);
+      }
+      return { id: created.id, summary: state.summary };
+    }
+
+    // Only nodes inside the restored subtree may be reused for its contents
+    this.indexLiveTree(live.node, state, live.depth);
+    this.collectIdMatches(target, state);
+    state.claimed.add(live.node.id);
+
+    if (live.depth > 1) {
+      if (live.node.parentId !== parentId || (index !== undefined && live.node.index !== index)) {
+        await chrome.bookmarks.move(live.node.id, { parentId, ...(index !== undefined ? { index } : {}) });
+        state.summary.moved++;
+      }
+
+      const changes = {};
+      if ((live.node.title || '') !== (target.title || '')) changes.title = target.title || '';
+      if (target.url && live.node.url !== target.url) changes.url = target.url;
+      if (Object.keys(changes).length > 0) {
+        await chrome.bookmarks.update(live.node.id, changes);
+        state.summary.updated++;
+      }
+    }
+
+    // Items added to the folder since the commit are left where they are
+    if (!target.url) {
+      await this.syncChildren(target.children || [], live.node.id, state);
+    }
+
+    return { id: live.node.id, summary: state.summary };
+  }
+
+  // Make sure every folder above the last node of `path` exists, creating
+  // the missing ones. Returns where the node itself belongs.
+  async restoreAncestors(path, rootId, all, summary) {
+    let parentId = rootId;
+
+    for (let i = 1; i < path.length - 1; i++) {
+      const folder = path[i];
+      const entry = all.live.get(folder.id);
+      const sameTitle = (all.byFolder.get(`${parentId}/${folder.title}`) || [])[0];
+
+      if (entry && !entry.node.url && entry.node.parentId === parentId) {
+        parentId = folder.id;
+      } else if (sameTitle) {
+        parentId = sameTitle.id;
+      } else if (i === 1) {
+        throw new Error(`"${folder.title}" is not available in this browser`);
+      } else {
+        const siblings = await chrome.bookmarks.getChildren(parentId);
+        const created = await chrome.bookmarks.create({
+          parentId,
+          index: Math.min(folder.index ?? siblings.length, siblings.length),
+          title: folder.title || ''
+        });
+        summary.created++;
+        parentId = created.id;
+      }
+    }
+
+    const node = path[path.length - 1];
+    const siblings = await chrome.bookmarks.getChildren(parentId);
+    const current = siblings.findIndex(sibling => sibling.id === node.id);
+    const count = current === -1 ? siblings.length : siblings.length - 1;
+    return { parentId, index: node.index !== undefined ? Math.min(node.index, count) : undefined };
+  }
+
+  // Nodes from the root down to `nodeId`, or null if it isn't in the tree
+  findPath(node, nodeId) {
+    if (node.id === nodeId) return [node];
+    for (const child of node.children || []) {
+      const path = this.findPath(child, nodeId);
+      if (path) return [node, ...path];
+    }
+    return null;
+  }
+
+  isWithin(id, ancestorId, state) {
+    for (let entry = state.live.get(id); entry; entry = state.live.get(entry.node.parentId)) {
+      if (entry.node.id === ancestorId) return true;
+    }
+    return false;
+  }
+
+  createState() {
+    return {
+      live: new Map(),
+      byUrl: new Map(),
+      byFolder: new Map(),
+      claimed: new Set(),
+      idMatches: new Set(),
+      summary: { created: 0, updated: 0, moved: 0, removed: 0 }
+    };
+  }
+
+  indexLiveTree(root, state, depth = 0) {
+    const addTo = (map, key, node) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(node);
+    };
+
+    const visit = (node, depth) => {
+      state.live.set(node.id, { node, depth });
+      if (depth >= 2 && !node.unmodifiable) {
+        if (node.url) {
+          addTo(state.byUrl, node.url, node);
+        } else {
+          addTo(state.byFolder, `${node.parentId}/${node.title}`, node);
+        }
+      }
+      for (const child of node.children || []) {
+        visit(child, depth + 1);
+      }
+    };
+    visit(root, depth);
+  }
+
+  // Ids claimed by an exact id match are reserved before any URL/title
+  // matching happens, so a duplicate URL elsewhere can't steal them
+  collectIdMatches(targetRoot, state) {
+    const visit = (node) => {
+      const entry = state.live.get(node.id);
+      if (entry && entry.depth > 1 && this.isSameKind(entry.node, node)) {
+        state.idMatches.add(node.id);
+      }
+      for (const child of node.children || []) {
+        visit(child);
+      }
+    };
+    visit(targetRoot);
+  }
+
+  async syncChildren(targetChildren, parentId, state) {
+    const current = (await chrome.bookmarks.getChildren(parentId)).map(child => child.id);
+    const folders = [];
+    let index = 0;
+
+    for (const target of targetChildren) {
+      const live = this.findMatch(target, parentId, state);
+      let liveId;
+
+      if (live) {
+        liveId = live.id;
+        state.claimed.add(liveId);
+
+        if (current[index] !== liveId) {
+          await chrome.bookmarks.move(liveId, { parentId, index });
+          const oldIndex = current.indexOf(liveId);
+          if (oldIndex !== -1) current.splice(oldIndex, 1);
+          current.splice(index, 0, liveId);
+          state.summary.moved++;
+        }
+
+        const changes = {};
+        if ((live.title || '') !== (target.title || '')) changes.title = target.title || '';
+        if (target.url && live.url !== target.url) changes.url = target.url;
+        if (Object.keys(changes).length > 0) {
+          await chrome.bookmarks.update(liveId, changes);
+          state.summary.updated++;
+        }
+      } else {
+        const created = await chrome.bookmarks.create({
+          parentId,
+          index,
+          title: target.title || '',
+          ...(target.url ? { url: target.url } : {})
+        });
+        liveId = created.id;
+        state.claimed.add(liveId);
+        current.splice(index, 0, liveId);
+        state.summary.created++;
+      }
+
+      if (!target.url) {
+        folders.push({ target, liveId });
+      }
+      index++;
+    }
+
+    for (const { target, liveId } of folders) {
+      await this.syncChildren(target.children || [], liveId, state);
+    }
+  }
+
+  findMatch(target, parentId, state) {
+    if (state.idMatches.has(target.id) && !state.claimed.has(target.id)) {
+      return state.live.get(target.id).node;
+    }
+
+    const pool = target.url
+      ? state.byUrl.get(target.url)
+      : state.byFolder.get(`${parentId}/${target.title}`);
+    const candidates = (pool || []).filter(node =>
+      !state.claimed.has(node.id) && !state.idMatches.has(node.id)
+    );
+
+    // Prefer a candidate that already sits in the right folder
+    return candidates.find(node => node.parentId === parentId) || candidates[0] || null;
+  }
+
+  async removeUnclaimed(liveRoot, state) {
+    // Only the top-most unclaimed nodes need removing: anything claimed
+    // beneath them has already been moved out by syncChildren
+    const toRemove = [];
+    const visit = (node, depth) => {
+      for (const child of node.children || []) {
+        if (depth >= 1 && !child.unmodifiable && !state.claimed.has(child.id)) {
+          toRemove.push(child);
+        } else if (child.children) {
+          visit(child, depth + 1);
+        }
+      }
+    };
+    visit(liveRoot, 0);
+
+    for (const node of toRemove) {
+      await chrome.bookmarks.removeTree(node.id);
+      state.summary.removed++;
+    }
+  }
+
+  isSameKind(a, b) {
+    return !!a.url === !!b.url;
+  }
+}
@@ -0,0 +1,176 @@
+class BookmarkHistoryController {
+  constructor() {
+    const params = new URLSearchParams(location.search);
+    this.nodeId = params.get('id');
+    this.url = params.get('url');
+    this.changeLabels = {
+      added: 'Added',
+      removed: 'Removed',
+      moved: 'Moved',
+      renamed: 'Renamed',
+      urlChanged: 'URL changed'
+    };
+
+    this.initializeElements();
+    this.loadHistory();
+  }
+
+  initializeElements() {
+    this.nodeTitle = document.getElementById('node-title');
+    this.nodeSubtitle = document.getElementById('node-subtitle');
+    this.nodeUrl = document.getElementById('node-url');
+    this.nodePath = document.getElementById('node-path');
+    this.nodeStatus = document.getElementById('node-status');
+    this.nodeAdded = document.getElementById('node-added');
+    this.nodeChanged = document.getElementById('node-changed');
+    this.historySummary = document.getElementById('history-summary');
+    this.historyList = document.getElementById('history-list');
+    this.toast = document.getElementById('toast');
+  }
+
+  async loadHistory() {
+    if (!this.nodeId && !this.url) {
+      this.showError('No bookmark specified');
+      return;
+    }
+
+    try {
+      const result = await this.sendMessage({ action: 'getBookmarkHistory', nodeId: this.nodeId, url: this.url });
+
+      if (!result.success) {
+        this.showError(result.error || 'Failed to load history');
+        return;
+      }
+
+      this.renderNode(result);
+      this.renderEntries(result.entries);
+    } catch (error) {
+      console.error('Error loading bookmark history:', error);
+      this.showError('Failed to load history');
+    }
+  }
+
+  renderNode({ node, live, entries }) {
+    const current = live || node || {};
+    const isFolder = current.url === undefined && !this.url;
+    const title = current.title || current.url || (isFolder ? 'Untitled folder' : this.url);
+
+    document.title = `${title} - Bookmark History`;
+    this.nodeTitle.textContent = title;
+    this.nodeSubtitle.textContent = `${isFolder ? 'Folder' : 'Bookmark'} history`;
+    this.nodeUrl.innerHTML = current.url
+      ? `<a href="${this.escapeHtml(current.url)}" target="_blank">${this.escapeHtml(current.url)}</a>`
+      : 'None (folder)';
+    this.nodePath.textContent = node ? this.formatPath(node.path) : 'Unknown';
+
+    if (live) {
+      this.nodeStatus.textContent = node ? 'In your bookmarks' : 'In your bookmarks, not committed yet';
+    } else {
+      this.nodeStatus.textContent = 'Removed';
+    }
+
+    // Blame: the oldest and newest commits that touched the node
+    const added = [...entries].reverse().find(entry => entry.changes.includes('added'));
+    this.nodeAdded.innerHTML = added ? this.commitSummary(added) : 'Not in any commit';
+    this.nodeChanged.innerHTML = entries.length > 0 ? this.commitSummary(entries[0]) : 'Never';
+  }
+
+  renderEntries(entries) {
+    if (entries.length === 0) {
+      this.historySummary.textContent = 'No commit has changed this item.';
+      this.historyList.innerHTML = `
+        <div class="empty-state">
+          <h3>No history</h3>
+          <p>Changes show up here once they are committed.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.historySummary.textContent = `Changed in ${entries.length} commit${entries.length !== 1 ? 's' : ''}, newest first.`;
+    this.historyList.innerHTML = entries.map(entry => this.renderEntry(entry)).join('');
+  }
+
+  renderEntry(entry) {
+    const type = entry.changes[0];
+
+    return `
+      <div class="change-item change-${type}">
+        <span class="change-badge">${entry.changes.map(change => this.changeLabels[change]).join(', ')}</span>
+        <div class="change-content">
+          <div class="change-title">
+            ${this.commitLink(entry.hash)} ${this.escapeHtml(entry.message.split('\n')[0])}
+          </div>
+          <div class="change-detail">${this.escapeHtml(entry.author.name)} • ${new Date(entry.date).toLocaleString()}</div>
+          ${entry.changes.map(change => `<div class="change-detail">${this.describeChange(change, entry.before, entry.after)}</div>`).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  describeChange(change, before, after) {
+    const path = (state) => this.escapeHtml(this.formatPath(state.path));
+
+    switch (change) {
+      case 'added':
+        return `"${this.escapeHtml(after.title)}"${after.url ? ` (${this.escapeHtml(after.url)})` : ''} in ${path(after)}`;
+      case 'removed':
+        return `"${this.escapeHtml(before.title)}" from ${path(before)}`;
+      case 'renamed':
+        return `"${this.escapeHtml(before.title)}" → "${this.escapeHtml(after.title)}"`;
+      case 'urlChanged':
+        return `${this.escapeHtml(before.url)} → ${this.escapeHtml(after.url)}`;
+      case 'moved':
+        return `${path(before)} → ${path(after)}`;
+      default:
+        return '';
+    }
+  }
+
+  commitSummary(entry) {
+    return `${this.commitLink(entry.hash)} ${new Date(entry.date).toLocaleString()}`;
+  }
+
+  formatPath(path) {
+    return path && path.length > 0 ? path.join(' › ') : '(root)';
+  }
+
+  commitLink(hash) {
+    return `<a class="mono" href="commit.html?hash=${encodeURIComponent(hash)}">${hash.substring(0, 8)}</a>`;
+  }
+
+  showError(message) {
+    this.nodeTitle.textContent = 'History unavailable';
+    this.historySummary.textContent = message;
+    this.historyList.innerHTML = '';
+    this.showToast(message, 'error');
+  }
+
+  showToast(message, type = 'info') {
+    this.toast.textContent = message;
+    this.toast.className = `toast toast-${type} show`;
+
+    setTimeout(() => {
+      this.toast.classList.remove('show');
+    }, 3000);
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        resolve(response || {});
+      });
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Initialize bookmark history view when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new BookmarkHistoryController();
+});
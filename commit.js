@@ -0,0 +1,387 @@
+class CommitViewController {
+  constructor() {
+    this.hash = new URLSearchParams(location.search).get('hash');
+    this.changeLabels = {
+      added: 'Added',
+      removed: 'Removed',
+      moved: 'Moved',
+      renamed: 'Renamed',
+      urlChanged: 'URL changed',
+      reordered: 'Reordered'
+    };
+
+    this.initializeElements();
+    this.setupEventListeners();
+    this.loadExportFormats();
+    this.loadCommit();
+  }
+
+  initializeElements() {
+    this.commitTitle = document.getElementById('commit-title');
+    this.commitSubtitle = document.getElementById('commit-subtitle');
+    this.commitBody = document.getElementById('commit-body');
+    this.commitTags = document.getElementById('commit-tags');
+    this.commitHash = document.getElementById('commit-hash');
+    this.commitAuthor = document.getElementById('commit-author');
+    this.commitDate = document.getElementById('commit-date');
+    this.commitParent = document.getElementById('commit-parent');
+    this.commitChildren = document.getElementById('commit-children');
+    this.commitIntegrity = document.getElementById('commit-integrity');
+    this.diffSummary = document.getElementById('diff-summary');
+    this.changeList = document.getElementById('change-list');
+    this.exportFormat = document.getElementById('export-format');
+    this.exportBookmarks = document.getElementById('export-bookmarks');
+    this.revertButton = document.getElementById('revert-commit');
+    this.timeTravelLink = document.getElementById('time-travel');
+    this.restoreDestination = document.getElementById('restore-destination');
+    this.snapshotTree = document.getElementById('snapshot-tree');
+    this.toast = document.getElementById('toast');
+  }
+
+  setupEventListeners() {
+    this.exportBookmarks.addEventListener('click', () => this.runExport());
+    this.revertButton.addEventListener('click', () => this.revertCommit());
+
+    this.snapshotTree.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-restore-id]');
+      if (button) {
+        // Buttons sit inside <summary>; don't let them toggle the folder
+        e.preventDefault();
+        this.restoreNode(button.dataset.restoreId, button.dataset.title);
+      }
+    });
+  }
+
+  async loadCommit() {
+    if (!this.hash) {
+      this.showError('No commit specified');
+      return;
+    }
+
+    try {
+      const [commitResult, diffResult] = await Promise.all([
+        this.sendMessage({ action: 'getCommit', commitHash: this.hash }),
+        this.sendMessage({ action: 'getCommitDiff', to: this.hash })
+      ]);
+
+      if (!commitResult.success) {
+        this.showError(commitResult.error || 'Commit not found');
+        return;
+      }
+
+      this.renderCommit(commitResult.commit, commitResult.children);
+      this.exportBookmarks.disabled = false;
+      this.revertButton.disabled = !commitResult.commit.parent;
+      this.timeTravelLink.href = `timetravel.html?hash=${encodeURIComponent(this.hash)}`;
+      this.verifyCommit();
+      this.loadSnapshot();
+      this.loadFolders();
+
+      if (diffResult.success) {
+        this.renderDiff(diffResult.diff, commitResult.commit.parent);
+      } else {
+        this.diffSummary.textContent = diffResult.error || 'Failed to calculate diff';
+        this.changeList.innerHTML = '';
+      }
+
+    } catch (error) {
+      console.error('Error loading commit:', error);
+      this.showError('Failed to load commit');
+    }
+  }
+
+  renderCommit(commit, children) {
+    const date = new Date(commit.committer.timestamp);
+
+    const [subject, ...body] = commit.message.split('\n');
+
+    document.title = `${subject} - Bookmark Git Tracker`;
+    this.commitTitle.textContent = subject;
+    this.commitBody.textContent = body.join('\n').trim();
+    this.commitBody.hidden = !this.commitBody.textContent;
+    this.commitSubtitle.textContent = `Commit ${commit.hash.substring(0, 8)}`;
+    this.commitHash.textContent = commit.hash;
+    this.commitAuthor.textContent = `${commit.author.name} <${commit.author.email}>`;
+    this.commitDate.textContent = date.toLocaleString();
+    const parents = commit.parents || (commit.parent ? [commit.parent] : []);
+    this.commitParent.innerHTML = parents.length > 0
+      ? parents.map(hash => this.commitLink(hash)).join(', ')
+      : 'None (initial commit)';
+    this.commitTags.textContent = commit.tags && commit.tags.length > 0 ? commit.tags.join(', ') : 'None';
+    this.commitChildren.innerHTML = children.length > 0
+      ? children.map(hash => this.commitLink(hash)).join(', ')
+      : 'None';
+  }
+
+  async verifyCommit() {
+    const result = await this.sendMessage({ action: 'verifyCommit', commitHash: this.hash });
+
+    if (!result.success) {
+      this.commitIntegrity.textContent = result.error || 'Unable to verify';
+    } else if (result.valid) {
+      this.commitIntegrity.textContent = `Verified (${result.objectsChecked} objects)`;
+    } else {
+      const problems = [];
+      if (!result.hashMatches) problems.push('commit hash mismatch');
+      if (result.missingObjects.length) problems.push(`${result.missingObjects.length} missing objects`);
+      if (result.corruptObjects.length) problems.push(`${result.corruptObjects.length} corrupt objects`);
+      this.commitIntegrity.textContent = `Failed: ${problems.join(', ')}`;
+    }
+  }
+
+  renderDiff(diff, parentHash) {
+    const { bookmarks, folders } = diff;
+    const against = parentHash ? `parent ${parentHash.substring(0, 8)}` : 'an empty repository';
+
+    this.diffSummary.textContent =
+      `Compared with ${against}: ` +
+      `${bookmarks.added} bookmarks added, ${bookmarks.removed} removed, ${bookmarks.changed} changed; ` +
+      `${folders.added} folders added, ${folders.removed} removed, ${folders.changed} changed.`;
+
+    if (diff.changes.length === 0) {
+      this.changeList.innerHTML = `
+        <div class="empty-state">
+          <h3>No changes</h3>
+          <p>This commit has the same bookmarks as its parent.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const order = Object.keys(this.changeLabels);
+    const changes = [...diff.changes].sort((a, b) =>
+      order.indexOf(a.type) - order.indexOf(b.type) ||
+      this.formatPath(a.path).localeCompare(this.formatPath(b.path))
+    );
+
+    this.changeList.innerHTML = changes.map(change => this.renderChange(change)).join('');
+  }
+
+  renderChange(change) {
+    const icon = change.kind === 'bookmark'
+      ? `<img class="change-icon" src="${this.faviconUrl(change.url)}" alt="" />`
+      : '<span class="change-icon folder-icon"></span>';
+
+    return `
+      <div class="change-item change-${change.type}">
+        <span class="change-badge">${this.changeLabels[change.type]}</span>
+        ${icon}
+        <div class="change-content">
+          <div class="change-title">
+            ${change.url
+              ? `<a href="${this.escapeHtml(change.url)}" target="_blank">${this.escapeHtml(change.title || change.url)}</a>`
+              : this.escapeHtml(change.title || 'Untitled folder')}
+          </div>
+          <div class="change-detail">${this.describeChange(change)}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  describeChange(change) {
+    const path = this.escapeHtml(this.formatPath(change.path));
+
+    switch (change.type) {
+      case 'renamed':
+        return `"${this.escapeHtml(change.oldTitle)}" → "${this.escapeHtml(change.title)}" in ${path}`;
+      case 'urlChanged':
+        return `${this.escapeHtml(change.oldUrl)} → ${this.escapeHtml(change.url)}`;
+      case 'moved':
+        return `${this.escapeHtml(this.formatPath(change.oldPath))} → ${path}`;
+      case 'reordered':
+        return `Position ${change.oldIndex + 1} → ${change.index + 1} in ${path}`;
+      default:
+        return path;
+    }
+  }
+
+  formatPath(path) {
+    return path && path.length > 0 ? path.join(' › ') : '(root)';
+  }
+
+  faviconUrl(url) {
+    return `${chrome.runtime.getURL('/_favicon/')}?pageUrl=${encodeURIComponent(url)}&size=16`;
+  }
+
+  commitLink(hash) {
+    return `<a class="mono" href="commit.html?hash=${encodeURIComponent(hash)}">${hash.substring(0, 8)}</a>`;
+  }
+
+  async loadSnapshot() {
+    const result = await this.sendMessage({ action: 'getCommitData', commitHash: this.hash });
+
+    if (!result.success) {
+      this.snapshotTree.innerHTML = `<p class="section-description">${this.escapeHtml(result.error || 'Failed to load bookmarks')}</p>`;
+      return;
+    }
+
+    const [root] = result.data;
+    this.snapshotTree.innerHTML = (root.children || []).map(node => this.renderNode(node, 0)).join('');
+  }
+
+  renderNode(node, depth) {
+    const title = node.title || node.url || 'Untitled';
+    const restore = `<button class="btn btn-small btn-secondary" data-restore-id="${this.escapeHtml(node.id)}" data-title="${this.escapeHtml(title)}">Restore</button>`;
+
+    if (node.url) {
+      return `
+        <div class="snapshot-node">
+          <img class="change-icon" src="${this.faviconUrl(node.url)}" alt="" />
+          <a class="snapshot-title" href="${this.escapeHtml(node.url)}" target="_blank" title="${this.escapeHtml(node.url)}">${this.escapeHtml(title)}</a>
+          ${restore}
+        </div>
+      `;
+    }
+
+    const children = node.children || [];
+    return `
+      <details class="snapshot-folder"${depth === 0 ? ' open' : ''}>
+        <summary class="snapshot-node">
+          <span class="change-icon folder-icon"></span>
+          <span class="snapshot-title">${this.escapeHtml(title)} <span class="snapshot-count">(${children.length})</span></span>
+          ${restore}
+        </summary>
+        <div class="snapshot-children">
+          ${children.map(child => this.renderNode(child, depth + 1)).join('')}
+        </div>
+      </details>
+    `;
+  }
+
+  // Live folders a restore can go into, besides the original location
+  async loadFolders() {
+    const result = await this.sendMessage({ action: 'getBookmarkFolders' });
+    const options = (result.folders || [])
+      .map(folder => `<option value="${this.escapeHtml(folder.id)}">${this.escapeHtml(folder.path.join(' › '))}</option>`)
+      .join('');
+    this.restoreDestination.innerHTML = `<option value="">Original location</option>${options}`;
+  }
+
+  async restoreNode(nodeId, title) {
+    const destination = this.restoreDestination.value;
+    const where = destination
+      ? this.restoreDestination.selectedOptions[0].textContent
+      : 'its original location';
+    if (!confirm(`Restore "${title}" from this commit into ${where}? The restore is recorded as a new commit.`)) {
+      return;
+    }
+
+    try {
+      const result = await this.sendMessage({
+        action: 'restoreNode',
+        commitHash: this.hash,
+        nodeId,
+        parentId: destination || null
+      });
+
+      if (!result.success) {
+        this.showToast(result.error || 'Failed to restore bookmark', 'error');
+        return;
+      }
+
+      const { created, updated, moved } = result.summary;
+      this.showToast(`Restored "${title}": ${created} created, ${updated} updated, ${moved} moved`, 'success');
+      this.loadFolders();
+    } catch (error) {
+      console.error('Error restoring bookmark:', error);
+      this.showToast('Failed to restore bookmark', 'error');
+    }
+  }
+
+  async loadExportFormats() {
+    const result = await this.sendMessage({ action: 'getExportFormats' });
+    this.exportFormat.innerHTML = (result.formats || [])
+      .map(format => `<option value="${format.id}">${format.label}</option>`)
+      .join('');
+  }
+
+  // Download this commit's bookmarks in the chosen format
+  async runExport() {
+    try {
+      const result = await this.sendMessage({
+        action: 'exportRepository',
+        format: this.exportFormat.value,
+        commitHash: this.hash
+      });
+
+      if (!result.success) {
+        this.showToast(result.error || 'Failed to export bookmarks', 'error');
+        return;
+      }
+
+      const url = URL.createObjectURL(new Blob([result.content], { type: result.mimeType }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = result.fileName;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting bookmarks:', error);
+      this.showToast('Failed to export bookmarks', 'error');
+    }
+  }
+
+  async revertCommit() {
+    if (!confirm('Undo the changes made by this commit? Later changes are kept, and the revert is recorded as a new commit.')) {
+      return;
+    }
+
+    this.revertButton.disabled = true;
+    try {
+      const result = await this.sendMessage({ action: 'revertCommit', commitHash: this.hash });
+
+      if (!result.success) {
+        this.showToast(result.error || 'Failed to revert commit', 'error');
+      } else if (result.status === 'upToDate') {
+        this.showToast(result.conflicts.length > 0
+          ? `Nothing reverted: ${result.conflicts.length} items changed again since`
+          : 'Nothing to revert: these changes are already undone', 'warning');
+      } else {
+        // The revert commit lists anything that could not be undone
+        location.search = `?hash=${encodeURIComponent(result.hash)}`;
+        return;
+      }
+    } catch (error) {
+      console.error('Error reverting commit:', error);
+      this.showToast('Failed to revert commit', 'error');
+    }
+    this.revertButton.disabled = false;
+  }
+
+  showError(message) {
+    this.commitTitle.textContent = 'Commit unavailable';
+    this.diffSummary.textContent = message;
+    this.changeList.innerHTML = '';
+    this.showToast(message, 'error');
+  }
+
+  showToast(message, type = 'info') {
+    this.toast.textContent = message;
+    this.toast.className = `toast toast-${type} show`;
+
+    setTimeout(() => {
+      this.toast.classList.remove('show');
+    }, 3000);
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        resolve(response || {});
+      });
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Initialize commit view when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new CommitViewController();
+});
@@ -1,3 +1,9 @@
+import ObjectStore from './object-store.js';
+import GitPack from './git-pack.js';
+import GitRemote from './git-remote.js';
+import TreeMerger from './tree-merger.js';
+import SearchIndex from './search-index.js';
+
 /**
  * Git Manager for Chrome Extension
  * Implements basic Git functionality using Chrome storage API
@@ -5,6 +11,12 @@
 export default class GitManager {
   constructor() {
     this.initialized = false;
+    this.objectStore = new ObjectStore();
+    this.gitPack = new GitPack();
+    this.treeMerger = new TreeMerger();
+    this.searchIndex = new SearchIndex(this);
+    this.formatVersion = 3;
+    this.backupVersion = '3.0.0';
     this.repositoryKey = 'bookmark_git_repo';
     this.commitsKey = 'bookmark_commits';
     this.branchKey = 'current_branch';
@@ -17,6 +29,7 @@ export default class GitManager {
     try {
       // Initialize repository structure
       await this.ensureRepository();
+      await this.migrateRepository();
       this.initialized = true;
       console.log('Git manager initialized');
     } catch (error) {
@@ -32,6 +45,7 @@ export default class GitManager {
       // Create new repository
       const repo = {
         initialized: true,
+        formatVersion: this.formatVersion,
         created: Date.now(),
         head: null,
         branches: {
@@ -55,49 +69,128 @@ export default class GitManager {
     }
   }
 
+  // Bring repositories written by older versions up to the current format:
+  //   1 -> 2: full bookmark tree per commit moves into shared objects
+  //   2 -> 3: ids are recomputed as git object hashes
+  async migrateRepository() {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+    const repo = result[this.repositoryKey];
+    let commits = result[this.commitsKey] || {};
+    const version = repo?.formatVersion || 1;
+
+    if (!repo || version >= this.formatVersion) {
+      return false;
+    }
+
+    if (version < 2) {
+      for (const commit of Object.values(commits)) {
+        if (commit.data) {
+          commit.tree = await this.objectStore.writeTree(commit.data);
+          delete commit.data;
+        }
+      }
+    }
+
+    if (version < 3) {
+      commits = await this.rehashHistory(repo, commits);
+    }
+
+    repo.formatVersion = this.formatVersion;
+    await chrome.storage.local.set({
+      [this.repositoryKey]: repo,
+      [this.commitsKey]: commits
+    });
+
+    console.log(`Migrated ${Object.keys(commits).length} commits from format ${version} to ${this.formatVersion}`);
+    return true;
+  }
+
+  // Rewrite every tree and commit with the current hashing, oldest first so
+  // parents are renamed before their children, then drop the old objects
+  async rehashHistory(repo, commits) {
+    const oldObjects = Object.keys(await this.objectStore.getAllObjects());
+    const renamed = new Map();
+    const rewritten = {};
+
+    for (const hash of this.topologicalOrder(commits)) {
+      const commit = commits[hash];
+      const bookmarkData = await this.objectStore.readTree(commit.tree);
+      const updated = {
+        ...commit,
+        parent: commit.parent ? (renamed.get(commit.parent) || commit.parent) : null,
+        tree: await this.objectStore.writeTree(bookmarkData)
+      };
+      updated.hash = await this.hashCommit(updated);
+
+      renamed.set(hash, updated.hash);
+      rewritten[updated.hash] = updated;
+    }
+
+    repo.head = repo.head ? (renamed.get(repo.head) || repo.head) : null;
+    for (const [branch, tip] of Object.entries(repo.branches)) {
+      repo.branches[branch] = tip ? (renamed.get(tip) || tip) : null;
+    }
+    for (const [tag, hash] of Object.entries(repo.tags || {})) {
+      repo.tags[tag] = renamed.get(hash) || hash;
+    }
+
+    const reachable = await this.objectStore.collectReachable(
+      Object.values(rewritten).map(commit => commit.tree)
+    );
+    await this.objectStore.removeObjects(oldObjects.filter(hash => !reachable.has(hash)));
+
+    return rewritten;
+  }
+
+  // Commit hashes ordered so every parent (merge parents included) comes
+  // before its children
+  topologicalOrder(commits) {
+    const order = [];
+    const visited = new Set();
+
+    for (const start of Object.keys(commits)) {
+      const stack = [[start, false]];
+      while (stack.length > 0) {
+        const [hash, expanded] = stack.pop();
+        if (expanded) {
+          order.push(hash);
+          continue;
+        }
+        if (visited.has(hash) || !commits[hash]) continue;
+        visited.add(hash);
+
+        stack.push([hash, true]);
+        const commit = commits[hash];
+        for (const parent of commit.parents || (commit.parent ? [commit.parent] : [])) {
+          if (!visited.has(parent)) stack.push([parent, false]);
+        }
+      }
+    }
+
+    return order;
+  }
+
   async hasCommits() {
     const result = await chrome.storage.local.get([this.commitsKey]);
     const commits = result[this.commitsKey] || {};
     return Object.keys(commits).length > 0;
   }
 
-  async createCommit(bookmarkData, message, author = 'user') {
+  // `mergeParents` are extra parents after HEAD, for merge commits
+  async createCommit(bookmarkData, message, author = 'user', mergeParents = []) {
     try {
-      // Generate commit hash (simplified)
-      const commitHash = this.generateHash(Date.now() + message + JSON.stringify(bookmarkData));
-      
-      // Get current repository state
-      const [repoResult, commitsResult, branchResult, configResult] = await Promise.all([
+      const [repoResult, commitsResult, branchResult] = await Promise.all([
         chrome.storage.local.get([this.repositoryKey]),
         chrome.storage.local.get([this.commitsKey]),
-        chrome.storage.local.get([this.branchKey]),
-        chrome.storage.local.get([this.configKey])
+        chrome.storage.local.get([this.branchKey])
       ]);
 
       const repo = repoResult[this.repositoryKey];
       const commits = commitsResult[this.commitsKey] || {};
       const currentBranch = branchResult[this.branchKey] || 'main';
-      const config = configResult[this.configKey] || {};
 
-      // Create commit object
-      const commit = {
-        hash: commitHash,
-        message: message,
-        author: {
-          name: config.user?.name || 'Bookmark Git Tracker',
-          email: config.user?.email || 'bookmark-tracker@extension.local',
-          timestamp: Date.now()
-        },
-        committer: {
-          name: config.user?.name || 'Bookmark Git Tracker',
-          email: config.user?.email || 'bookmark-tracker@extension.local',
-          timestamp: Date.now()
-        },
-        parent: repo.head,
-        tree: commitHash + '_tree',
-        data: bookmarkData,
-        stats: this.calculateStats(bookmarkData)
-      };
+      const commit = await this.buildCommit(bookmarkData, message, repo.head, mergeParents);
+      const commitHash = commit.hash;
 
       // Store commit
       commits[commitHash] = commit;
@@ -106,10 +199,11 @@ export default class GitManager {
       repo.head = commitHash;
       repo.branches[currentBranch] = commitHash;
 
-      // Save everything
+      // Save everything, the commit's search index shard included
       await chrome.storage.local.set({
         [this.repositoryKey]: repo,
-        [this.commitsKey]: commits
+        [this.commitsKey]: commits,
+        ...(await this.searchIndex.shardFor(commit, bookmarkData, commits))
       });
 
       console.log(`Created commit ${commitHash}: ${message}`);
@@ -121,6 +215,70 @@ export default class GitManager {
     }
   }
 
+  /**
+   * Commit `bookmarkData` onto a new branch started at HEAD, leaving HEAD,
+   * the current branch and the live bookmarks alone
+   */
+  async commitOnNewBranch(name, bookmarkData, message) {
+    this.validateBranchName(name);
+
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+
+    if (Object.prototype.hasOwnProperty.call(repo.branches, name)) {
+      throw new Error(`Branch '${name}' already exists`);
+    }
+
+    const commit = await this.buildCommit(bookmarkData, message, repo.head);
+    commits[commit.hash] = commit;
+    repo.branches[name] = commit.hash;
+
+    await chrome.storage.local.set({
+      [this.repositoryKey]: repo,
+      [this.commitsKey]: commits,
+      ...(await this.searchIndex.shardFor(commit, bookmarkData, commits))
+    });
+
+    console.log(`Created commit ${commit.hash} on ${name}: ${message}`);
+    return commit.hash;
+  }
+
+  // Store the tree and return the (not yet saved) commit record on top of `parent`
+  async buildCommit(bookmarkData, message, parent, mergeParents = []) {
+    // Store the tree first; unchanged folders are shared with earlier commits
+    const treeHash = await this.objectStore.writeTree(bookmarkData);
+
+    const configResult = await chrome.storage.local.get([this.configKey]);
+    const config = configResult[this.configKey] || {};
+    const timestamp = Date.now();
+
+    // Create commit object
+    const commit = {
+      message: message,
+      author: {
+        name: config.user?.name || 'Bookmark Git Tracker',
+        email: config.user?.email || 'bookmark-tracker@extension.local',
+        timestamp
+      },
+      committer: {
+        name: config.user?.name || 'Bookmark Git Tracker',
+        email: config.user?.email || 'bookmark-tracker@extension.local',
+        timestamp
+      },
+      parent: parent || null,
+      tree: treeHash,
+      stats: this.calculateStats(bookmarkData)
+    };
+    if (mergeParents.length > 0) {
+      commit.parents = [parent, ...mergeParents];
+    }
+
+    // The commit id is the git hash of its tree, parent, author and message
+    commit.hash = await this.hashCommit(commit);
+    return commit;
+  }
+
   async getCommitHistory(limit = 50) {
     try {
       const [repoResult, commitsResult] = await Promise.all([
@@ -135,14 +293,15 @@ export default class GitManager {
         return [];
       }
 
-      // Walk commit history from HEAD
+      // Walk commit history from HEAD, newest first across merged lines
+      const tags = this.tagsByCommit(repo);
       const history = [];
-      let currentHash = repo.head;
-      let count = 0;
+      const queue = commits[repo.head] ? [repo.head] : [];
+      const queued = new Set(queue);
 
-      while (currentHash && count < limit) {
-        const commit = commits[currentHash];
-        if (!commit) break;
+      while (queue.length > 0 && history.length < limit) {
+        queue.sort((a, b) => commits[b].committer.timestamp - commits[a].committer.timestamp);
+        const commit = commits[queue.shift()];
 
         history.push({
           hash: commit.hash,
@@ -151,11 +310,19 @@ export default class GitManager {
           author: commit.author,
           committer: commit.committer,
           stats: commit.stats,
+          parents: commit.parents || (commit.parent ? [commit.parent] : []),
+          tags: tags.get(commit.hash) || [],
           date: new Date(commit.committer.timestamp).toISOString()
         });
 
-        currentHash = commit.parent;
-        count++;
+        for (const parent of commit.parents || (commit.parent ? [commit.parent] : [])) {
+          if (!commits[parent]) {
+            console.warn(`Commit ${commit.hash.substring(0, 8)} has a missing parent ${parent.substring(0, 8)}; history is incomplete (see the integrity check in Options)`);
+          } else if (!queued.has(parent)) {
+            queued.add(parent);
+            queue.push(parent);
+          }
+        }
       }
 
       return history;
@@ -166,23 +333,93 @@ export default class GitManager {
     }
   }
 
+  // The first-parent line ending at `startHash` (HEAD by default), oldest
+  // first: the states the current branch has been in over time
+  async getTimeline(startHash = null) {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const timeline = [];
+    const seen = new Set();
+
+    if (startHash && !commits[startHash]) {
+      throw new Error('Commit not found');
+    }
+
+    for (let hash = startHash || repo?.head; hash && commits[hash] && !seen.has(hash); hash = commits[hash].parent) {
+      const commit = commits[hash];
+      seen.add(hash);
+      timeline.push({
+        hash,
+        shortHash: hash.substring(0, 8),
+        message: commit.message.split('\n')[0],
+        timestamp: commit.committer.timestamp,
+        stats: commit.stats
+      });
+    }
+
+    return timeline.reverse();
+  }
+
+  // The newest commit on the line ending at `startHash` (HEAD by default)
+  // made at or before `timestamp`, or null if that is before its first commit
+  async findCommitAt(timestamp, startHash = null) {
+    const timeline = await this.getTimeline(startHash);
+
+    for (let i = timeline.length - 1; i >= 0; i--) {
+      if (timeline[i].timestamp <= timestamp) {
+        return timeline[i];
+      }
+    }
+    return null;
+  }
+
   async getCommitData(commitHash) {
     try {
       const result = await chrome.storage.local.get([this.commitsKey]);
       const commits = result[this.commitsKey] || {};
       const commit = commits[commitHash];
-      
-      return commit ? commit.data : null;
+
+      return commit ? await this.objectStore.readTree(commit.tree) : null;
     } catch (error) {
       console.error('Error getting commit data:', error);
       return null;
     }
   }
 
+  async getCommit(commitHash) {
+    try {
+      const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+      const commits = result[this.commitsKey] || {};
+      const commit = commits[commitHash];
+      if (!commit) return null;
+
+      return { ...commit, tags: this.tagsByCommit(result[this.repositoryKey]).get(commitHash) || [] };
+    } catch (error) {
+      console.error('Error getting commit:', error);
+      return null;
+    }
+  }
+
+  async getChildCommits(commitHash) {
+    try {
+      const result = await chrome.storage.local.get([this.commitsKey]);
+      const commits = result[this.commitsKey] || {};
+
+      return Object.values(commits)
+        .filter(commit => commit.parent === commitHash || (commit.parents || []).includes(commitHash))
+        .map(commit => commit.hash);
+    } catch (error) {
+      console.error('Error getting child commits:', error);
+      return [];
+    }
+  }
+
+  // Pass null as the first hash to diff against an empty tree
   async getCommitDiff(commitHash1, commitHash2) {
     try {
       const [data1, data2] = await Promise.all([
-        this.getCommitData(commitHash1),
+        commitHash1 ? this.getCommitData(commitHash1) : [],
         this.getCommitData(commitHash2)
       ]);
 
@@ -190,7 +427,6 @@ export default class GitManager {
         return null;
       }
 
-      // Simple diff calculation
       return this.calculateDiff(data1, data2);
 
     } catch (error) {
@@ -199,6 +435,92 @@ export default class GitManager {
     }
   }
 
+  /**
+   * Every commit reachable from HEAD that changed one bookmark or folder,
+   * newest first, each compared with its first parent. Without `nodeId`
+   * the node is the one most recently stored with `url`.
+   * Returns { nodeId, node, entries: [{ hash, shortHash, message, author,
+   * date, changes, before, after }] }, where `changes` lists added,
+   * removed, renamed, urlChanged and moved.
+   */
+  async getNodeHistory(nodeId, url = null) {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+
+    if (!repo || !commits[repo.head]) {
+      return { nodeId, node: null, entries: [] };
+    }
+
+    const ordered = [...this.collectAncestors([repo.head], commits)]
+      .map(hash => commits[hash])
+      .sort((a, b) => b.committer.timestamp - a.committer.timestamp);
+
+    // Trees are shared by many commits, so each is only read once
+    const trees = new Map();
+    const nodesIn = async (treeHash) => {
+      if (!trees.has(treeHash)) {
+        trees.set(treeHash, this.flattenTree(await this.objectStore.readTree(treeHash)));
+      }
+      return trees.get(treeHash);
+    };
+
+    if (!nodeId && url) {
+      for (const commit of ordered) {
+        const match = [...(await nodesIn(commit.tree)).values()].find(node => node.url === url);
+        if (match) {
+          nodeId = match.id;
+          break;
+        }
+      }
+    }
+
+    const entries = [];
+    let node = null;
+    for (const commit of nodeId ? ordered : []) {
+      const parent = commits[commit.parent];
+      const after = this.nodeState((await nodesIn(commit.tree)).get(nodeId));
+      const before = parent ? this.nodeState((await nodesIn(parent.tree)).get(nodeId)) : null;
+      node = node || after;
+
+      const changes = this.compareNodeStates(before, after);
+      if (changes.length > 0) {
+        entries.push({
+          hash: commit.hash,
+          shortHash: commit.hash.substring(0, 8),
+          message: commit.message,
+          author: commit.author,
+          date: new Date(commit.committer.timestamp).toISOString(),
+          changes,
+          before,
+          after
+        });
+      }
+    }
+
+    return { nodeId, node, entries };
+  }
+
+  nodeState(node) {
+    return node
+      ? { title: node.title, url: node.url, path: node.path, parentId: node.parentId }
+      : null;
+  }
+
+  // A changed folder path alone means a folder above was renamed or moved,
+  // which is not a change to the node itself
+  compareNodeStates(before, after) {
+    if (!before && !after) return [];
+    if (!before) return ['added'];
+    if (!after) return ['removed'];
+
+    const changes = [];
+    if (before.title !== after.title) changes.push('renamed');
+    if (before.url !== after.url) changes.push('urlChanged');
+    if (before.parentId !== after.parentId) changes.push('moved');
+    return changes;
+  }
+
   async getBranches() {
     try {
       const result = await chrome.storage.local.get([this.repositoryKey]);
@@ -220,6 +542,164 @@ export default class GitManager {
     }
   }
 
+  // Branch list with each tip's message and date, current branch first
+  async listBranches() {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const current = result[this.branchKey] || 'main';
+
+    return Object.entries(repo?.branches || {})
+      .map(([name, hash]) => ({
+        name,
+        hash,
+        current: name === current,
+        message: hash ? commits[hash]?.message : null,
+        date: hash ? commits[hash]?.committer?.timestamp : null
+      }))
+      .sort((a, b) => (b.current - a.current) || a.name.localeCompare(b.name));
+  }
+
+  // The subset of `git check-ref-format` rules that matter for names typed
+  // into the popup
+  validateBranchName(name, kind = 'branch') {
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error(`${kind.charAt(0).toUpperCase()}${kind.substring(1)} name cannot be empty`);
+    }
+    if (/[\s~^:?*[\\\x00-\x1f\x7f]|\.\.|@\{|\/\/|^[/.-]|[/.]$|\.lock$/.test(name) || name === '@') {
+      throw new Error(`'${name}' is not a valid ${kind} name`);
+    }
+  }
+
+  async createBranch(name, startPoint = null) {
+    this.validateBranchName(name);
+
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const start = startPoint || repo.head;
+
+    if (Object.prototype.hasOwnProperty.call(repo.branches, name)) {
+      throw new Error(`Branch '${name}' already exists`);
+    }
+    if (!start || !commits[start]) {
+      throw new Error('Cannot create a branch before the first commit');
+    }
+
+    repo.branches[name] = start;
+    await chrome.storage.local.set({ [this.repositoryKey]: repo });
+    return start;
+  }
+
+  async renameBranch(oldName, newName) {
+    this.validateBranchName(newName);
+
+    const result = await chrome.storage.local.get([this.repositoryKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const current = result[this.branchKey] || 'main';
+
+    if (!Object.prototype.hasOwnProperty.call(repo.branches, oldName)) {
+      throw new Error(`Branch '${oldName}' does not exist`);
+    }
+    if (Object.prototype.hasOwnProperty.call(repo.branches, newName)) {
+      throw new Error(`Branch '${newName}' already exists`);
+    }
+
+    repo.branches[newName] = repo.branches[oldName];
+    delete repo.branches[oldName];
+    if (repo.remoteBranches && oldName in repo.remoteBranches) {
+      repo.remoteBranches[newName] = repo.remoteBranches[oldName];
+      delete repo.remoteBranches[oldName];
+    }
+
+    await chrome.storage.local.set({
+      [this.repositoryKey]: repo,
+      [this.branchKey]: current === oldName ? newName : current
+    });
+  }
+
+  // Like `git branch -d`: refuses to drop commits no other branch reaches
+  // unless `force` is set
+  async deleteBranch(name, force = false) {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const current = result[this.branchKey] || 'main';
+
+    if (!Object.prototype.hasOwnProperty.call(repo.branches, name)) {
+      throw new Error(`Branch '${name}' does not exist`);
+    }
+    if (name === current) {
+      throw new Error(`Cannot delete the checked out branch '${name}'`);
+    }
+
+    const tip = repo.branches[name];
+    const others = Object.entries(repo.branches)
+      .filter(([other, hash]) => other !== name && hash)
+      .map(([, hash]) => hash);
+    if (!force && tip && !this.collectAncestors(others, commits).has(tip)) {
+      throw new Error(`Branch '${name}' has commits that are not on any other branch`);
+    }
+
+    delete repo.branches[name];
+    if (repo.remoteBranches) delete repo.remoteBranches[name];
+    await chrome.storage.local.set({ [this.repositoryKey]: repo });
+  }
+
+  // Point HEAD at another branch. Applying its tree to the live bookmarks
+  // is up to the caller.
+  async checkoutBranch(name) {
+    const result = await chrome.storage.local.get([this.repositoryKey]);
+    const repo = result[this.repositoryKey];
+
+    if (!Object.prototype.hasOwnProperty.call(repo.branches, name)) {
+      throw new Error(`Branch '${name}' does not exist`);
+    }
+
+    repo.head = repo.branches[name];
+    await chrome.storage.local.set({
+      [this.repositoryKey]: repo,
+      [this.branchKey]: name
+    });
+    return repo.head;
+  }
+
+  // Lightweight tags: names pointing at a commit, kept in repo.tags
+  async createTag(name, commitHash) {
+    this.validateBranchName(name, 'tag');
+
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    repo.tags = repo.tags || {};
+
+    if (Object.prototype.hasOwnProperty.call(repo.tags, name)) {
+      throw new Error(`Tag '${name}' already exists`);
+    }
+    if (!commits[commitHash]) {
+      throw new Error('Commit not found');
+    }
+
+    repo.tags[name] = commitHash;
+    await chrome.storage.local.set({ [this.repositoryKey]: repo });
+    return commitHash;
+  }
+
+  async getTags() {
+    const result = await chrome.storage.local.get([this.repositoryKey]);
+    return result[this.repositoryKey]?.tags || {};
+  }
+
+  // Commit hash -> names of the tags pointing at it
+  tagsByCommit(repo) {
+    const tags = new Map();
+    for (const [name, hash] of Object.entries(repo?.tags || {})) {
+      if (!tags.has(hash)) tags.set(hash, []);
+      tags.get(hash).push(name);
+    }
+    return tags;
+  }
+
   async getRepositoryStats() {
     try {
       const [repoResult, commitsResult] = await Promise.all([
@@ -255,19 +735,39 @@ export default class GitManager {
   }
 
   // Utility methods
-  generateHash(input) {
-    // Simple hash function for demo purposes
-    // In a real implementation, you'd use a proper crypto hash
-    let hash = 0;
-    const str = typeof input === 'string' ? input : JSON.stringify(input);
-    
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  async hashCommit(commit) {
+    return this.objectStore.hashObject(this.toCommitObject(commit));
+  }
+
+  toCommitObject(commit) {
+    return {
+      type: 'commit',
+      tree: commit.tree,
+      parents: commit.parents || (commit.parent ? [commit.parent] : []),
+      author: commit.author,
+      committer: commit.committer,
+      extraHeaders: commit.extraHeaders,
+      message: commit.message
+    };
+  }
+
+  // Recompute a commit's id and check every object in its tree
+  async verifyCommit(commitHash) {
+    const commit = await this.getCommit(commitHash);
+    if (!commit) {
+      return { valid: false, error: 'Commit not found' };
     }
-    
-    return Math.abs(hash).toString(16).padStart(8, '0') + Date.now().toString(16);
+
+    const hashMatches = (await this.hashCommit(commit)) === commitHash;
+    const tree = await this.objectStore.verifyTree(commit.tree);
+
+    return {
+      valid: hashMatches && tree.missing.length === 0 && tree.corrupt.length === 0,
+      hashMatches,
+      objectsChecked: tree.checked,
+      missingObjects: tree.missing,
+      corruptObjects: tree.corrupt
+    };
   }
 
   calculateStats(bookmarkData) {
@@ -301,23 +801,184 @@ export default class GitManager {
     };
   }
 
+  /**
+   * Node-level diff between two bookmark trees.
+   * Nodes are matched by id; each change carries the folder path (list of
+   * ancestor titles) on both sides so it stays readable once ids are gone.
+   */
   calculateDiff(data1, data2) {
-    // Basic diff calculation
-    const stats1 = this.calculateStats(data1);
-    const stats2 = this.calculateStats(data2);
+    const before = this.flattenTree(data1);
+    const after = this.flattenTree(data2);
+    const changes = [];
+
+    const describe = (node) => ({
+      id: node.id,
+      kind: node.url ? 'bookmark' : 'folder',
+      title: node.title,
+      url: node.url,
+      parentId: node.parentId
+    });
+
+    for (const [id, node] of after) {
+      const old = before.get(id);
+      if (!old) {
+        changes.push({ type: 'added', ...describe(node), path: node.path, index: node.index });
+        continue;
+      }
+
+      if (old.title !== node.title) {
+        changes.push({ type: 'renamed', ...describe(node), path: node.path, oldTitle: old.title });
+      }
+      if (old.url !== node.url) {
+        changes.push({ type: 'urlChanged', ...describe(node), path: node.path, oldUrl: old.url });
+      }
+      if (old.parentId !== node.parentId) {
+        changes.push({
+          type: 'moved',
+          ...describe(node),
+          path: node.path,
+          oldPath: old.path,
+          index: node.index,
+          oldIndex: old.index
+        });
+      }
+    }
+
+    for (const [id, node] of before) {
+      if (!after.has(id)) {
+        changes.push({ type: 'removed', ...describe(node), path: node.path, index: node.index });
+      }
+    }
+
+    changes.push(...this.findReorderedNodes(before, after));
 
     return {
-      bookmarks: {
-        added: Math.max(0, stats2.totalBookmarks - stats1.totalBookmarks),
-        removed: Math.max(0, stats1.totalBookmarks - stats2.totalBookmarks),
-        changed: 0 // Would need deeper analysis
-      },
-      folders: {
-        added: Math.max(0, stats2.totalFolders - stats1.totalFolders),
-        removed: Math.max(0, stats1.totalFolders - stats2.totalFolders),
-        changed: 0 // Would need deeper analysis
+      ...this.summarizeChanges(changes),
+      changes
+    };
+  }
+
+  // Flatten a bookmark tree into id -> node with its parent and folder path
+  flattenTree(bookmarkData) {
+    const nodes = new Map();
+
+    const visit = (node, parentId, path, index) => {
+      if (parentId !== null) {
+        nodes.set(node.id, {
+          id: node.id,
+          title: node.title || '',
+          url: node.url,
+          parentId,
+          index,
+          path,
+          children: (node.children || []).map(child => child.id)
+        });
       }
+
+      const childPath = parentId !== null ? [...path, node.title || ''] : path;
+      (node.children || []).forEach((child, i) => visit(child, node.id, childPath, i));
     };
+
+    if (Array.isArray(bookmarkData)) {
+      for (const root of bookmarkData) {
+        visit(root, null, [], 0);
+      }
+    }
+
+    return nodes;
+  }
+
+  // Siblings that stayed in the same folder but changed relative order.
+  // The longest run already in order is treated as fixed; the rest moved.
+  findReorderedNodes(before, after) {
+    const reordered = [];
+    const parents = new Set([...after.values()].map(node => node.parentId));
+
+    for (const parentId of parents) {
+      const oldParent = before.get(parentId);
+      const newParent = after.get(parentId);
+      const oldChildren = oldParent ? oldParent.children : this.rootChildren(before, parentId);
+      const newChildren = newParent ? newParent.children : this.rootChildren(after, parentId);
+
+      const kept = new Set(oldChildren.filter(id => after.get(id)?.parentId === parentId));
+      const oldPositions = new Map(oldChildren.filter(id => kept.has(id)).map((id, i) => [id, i]));
+      const sequence = newChildren.filter(id => kept.has(id));
+
+      const inOrder = this.longestIncreasingRun(sequence.map(id => oldPositions.get(id)));
+      sequence.forEach((id, i) => {
+        if (inOrder.has(i)) return;
+        const node = after.get(id);
+        reordered.push({
+          type: 'reordered',
+          id,
+          kind: node.url ? 'bookmark' : 'folder',
+          title: node.title,
+          url: node.url,
+          parentId,
+          path: node.path,
+          index: node.index,
+          oldIndex: before.get(id).index
+        });
+      });
+    }
+
+    return reordered;
+  }
+
+  rootChildren(nodes, parentId) {
+    return [...nodes.values()]
+      .filter(node => node.parentId === parentId)
+      .sort((a, b) => a.index - b.index)
+      .map(node => node.id);
+  }
+
+  // Indices (into `values`) of one longest strictly increasing subsequence
+  longestIncreasingRun(values) {
+    const tails = [];
+    const previous = new Array(values.length);
+
+    values.forEach((value, i) => {
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) low = mid + 1;
+        else high = mid;
+      }
+      previous[i] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = i;
+    });
+
+    const result = new Set();
+    let i = tails.length > 0 ? tails[tails.length - 1] : -1;
+    while (i !== -1) {
+      result.add(i);
+      i = previous[i];
+    }
+    return result;
+  }
+
+  summarizeChanges(changes) {
+    const summary = {
+      bookmarks: { added: 0, removed: 0, changed: 0 },
+      folders: { added: 0, removed: 0, changed: 0 }
+    };
+    const changed = { bookmarks: new Set(), folders: new Set() };
+
+    for (const change of changes) {
+      const group = change.kind === 'bookmark' ? 'bookmarks' : 'folders';
+      if (change.type === 'added') {
+        summary[group].added++;
+      } else if (change.type === 'removed') {
+        summary[group].removed++;
+      } else {
+        changed[group].add(change.id);
+      }
+    }
+
+    summary.bookmarks.changed = changed.bookmarks.size;
+    summary.folders.changed = changed.folders.size;
+    return summary;
   }
 
   // Reset repository (for development/testing)
@@ -328,6 +989,8 @@ export default class GitManager {
         this.commitsKey,
         this.branchKey
       ]);
+      await this.objectStore.removeAllObjects();
+      await this.searchIndex.prune();
       
       this.initialized = false;
       await this.initialize();
@@ -340,6 +1003,405 @@ export default class GitManager {
     }
   }
 
+  // Every commit, tree and blob reachable from the given commits, encoded
+  // as git object bodies ready to be packed. Anything reachable from
+  // `excludeHashes` (commits the receiver already has) is left out.
+  async collectGitObjects(commitHashes, excludeHashes = []) {
+    const result = await chrome.storage.local.get([this.commitsKey]);
+    const commits = result[this.commitsKey] || {};
+    const excluded = this.collectAncestors(excludeHashes, commits);
+    const excludedObjects = await this.objectStore.collectReachable(
+      [...excluded].map(hash => commits[hash].tree)
+    );
+    const objects = [];
+    const trees = [];
+    const seen = new Set();
+    const stack = [...commitHashes];
+
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      const commit = commits[hash];
+      if (!commit || seen.has(hash) || excluded.has(hash)) continue;
+      seen.add(hash);
+
+      const commitObject = this.toCommitObject(commit);
+      objects.push({ hash, type: 'commit', body: this.objectStore.encodeBody(commitObject) });
+      trees.push(commit.tree);
+      stack.push(...commitObject.parents);
+    }
+
+    const reachable = [...await this.objectStore.collectReachable(trees)]
+      .filter(hash => !excludedObjects.has(hash));
+    const stored = await chrome.storage.local.get(reachable.map(hash => this.objectStore.key(hash)));
+
+    for (const hash of reachable) {
+      const object = stored[this.objectStore.key(hash)];
+      if (!object) {
+        throw new Error(`Missing object ${hash}`);
+      }
+      objects.push({ hash, type: object.type, body: this.objectStore.encodeBody(object) });
+    }
+
+    return objects;
+  }
+
+  // The given commits and all of their ancestors that exist locally
+  collectAncestors(commitHashes, commits) {
+    const ancestors = new Set();
+    const stack = [...commitHashes];
+
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      const commit = commits[hash];
+      if (!commit || ancestors.has(hash)) continue;
+      ancestors.add(hash);
+      stack.push(...(commit.parents || (commit.parent ? [commit.parent] : [])));
+    }
+
+    return ancestors;
+  }
+
+  isAncestor(ancestorHash, commitHash, commits) {
+    return this.collectAncestors([commitHash], commits).has(ancestorHash);
+  }
+
+  // Export every branch as a `git bundle` that `git clone` can read
+  async exportBundle() {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const currentBranch = result[this.branchKey] || 'main';
+
+    if (!repo || !repo.head) {
+      throw new Error('Repository has no commits to export');
+    }
+
+    const refs = {};
+    for (const [branch, tip] of Object.entries(repo.branches)) {
+      if (tip) refs[`refs/heads/${branch}`] = tip;
+    }
+    for (const [tag, hash] of Object.entries(repo.tags || {})) {
+      refs[`refs/tags/${tag}`] = hash;
+    }
+    refs.HEAD = repo.branches[currentBranch] || repo.head;
+
+    const objects = await this.collectGitObjects(Object.values(refs));
+    return this.gitPack.createBundle(refs, objects);
+  }
+
+  // Best common ancestor: the newest commit reachable from both
+  findMergeBase(hashA, hashB, commits) {
+    const ancestorsA = this.collectAncestors([hashA], commits);
+    const common = [...this.collectAncestors([hashB], commits)].filter(hash => ancestorsA.has(hash));
+    if (common.length === 0) return null;
+
+    return common.reduce((best, hash) =>
+      commits[hash].committer.timestamp > commits[best].committer.timestamp ? hash : best
+    );
+  }
+
+  /**
+   * Work out what merging `theirsHash` into the current branch means:
+   *   upToDate    - already contained in our history
+   *   fastForward - our tip is an ancestor, the branch can simply move
+   *   merge       - three-way merge; `tree` is the merged bookmark tree and
+   *                 `conflicts` lists nodes that need a side picked
+   */
+  async prepareMerge(theirsHash, resolutions = {}) {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const branch = result[this.branchKey] || 'main';
+    const oursHash = repo.branches[branch] || repo.head;
+
+    if (!commits[theirsHash]) {
+      throw new Error(`Commit ${theirsHash} not found`);
+    }
+    if (oursHash === theirsHash || (oursHash && this.isAncestor(theirsHash, oursHash, commits))) {
+      return { status: 'upToDate', branch, ours: oursHash, theirs: theirsHash };
+    }
+    if (!oursHash || this.isAncestor(oursHash, theirsHash, commits)) {
+      return { status: 'fastForward', branch, ours: oursHash, theirs: theirsHash };
+    }
+
+    const baseHash = this.findMergeBase(oursHash, theirsHash, commits);
+    const [base, ours, theirs] = await Promise.all([
+      baseHash ? this.objectStore.readTree(commits[baseHash].tree) : null,
+      this.objectStore.readTree(commits[oursHash].tree),
+      this.objectStore.readTree(commits[theirsHash].tree)
+    ]);
+    const { tree, conflicts } = this.treeMerger.merge(base, ours, theirs, resolutions);
+
+    return {
+      status: 'merge',
+      branch,
+      base: baseHash,
+      ours: oursHash,
+      theirs: theirsHash,
+      tree,
+      conflicts,
+      diff: this.calculateDiff(ours, tree)
+    };
+  }
+
+  /**
+   * The current branch with one commit's changes undone: a three-way merge
+   * of the commit's parent into HEAD, using the commit itself as the base
+   * (git revert). Changes made to the same bookmarks since come back as
+   * conflicts and keep their current state. Merge commits are reverted
+   * against their first parent.
+   */
+  async prepareRevert(commitHash) {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const branch = result[this.branchKey] || 'main';
+    const oursHash = repo.branches[branch] || repo.head;
+    const commit = commits[commitHash];
+
+    if (!commit) {
+      throw new Error(`Commit ${commitHash} not found`);
+    }
+    if (!commit.parent) {
+      throw new Error('The first commit has nothing before it to revert to');
+    }
+    if (!commits[commit.parent]) {
+      throw new Error('The parent of this commit is missing');
+    }
+
+    const [base, ours, theirs] = await Promise.all([
+      this.objectStore.readTree(commit.tree),
+      this.objectStore.readTree(commits[oursHash].tree),
+      this.objectStore.readTree(commits[commit.parent].tree)
+    ]);
+    const { tree, conflicts } = this.treeMerger.merge(base, ours, theirs);
+
+    return {
+      commit,
+      branch,
+      tree,
+      conflicts,
+      diff: this.calculateDiff(ours, tree)
+    };
+  }
+
+  // Move the current branch forward to a descendant commit
+  async fastForward(hash) {
+    const result = await chrome.storage.local.get([this.repositoryKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const branch = result[this.branchKey] || 'main';
+
+    repo.branches[branch] = hash;
+    repo.head = hash;
+    await chrome.storage.local.set({ [this.repositoryKey]: repo });
+  }
+
+  async getRemote() {
+    const result = await chrome.storage.local.get([this.configKey]);
+    const remote = result[this.configKey]?.remote;
+
+    if (!remote || !remote.url) {
+      throw new Error('No remote configured. Add one in the extension options.');
+    }
+
+    return new GitRemote(remote.url, { username: remote.username, token: remote.token });
+  }
+
+  /**
+   * Push the current branch to the remote. Only fast-forward updates are
+   * sent; if the remote branch has commits we don't have, the caller has
+   * to pull first.
+   */
+  async push() {
+    const remote = await this.getRemote();
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey, this.branchKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const branch = result[this.branchKey] || 'main';
+    const ref = `refs/heads/${branch}`;
+    const localTip = repo.branches[branch] || repo.head;
+
+    if (!localTip) {
+      throw new Error('Repository has no commits to push');
+    }
+
+    const { refs } = await remote.discoverRefs('git-receive-pack');
+    const remoteTip = refs[ref] || null;
+
+    if (remoteTip === localTip) {
+      return { branch, hash: localTip, upToDate: true, objects: 0 };
+    }
+    if (remoteTip && !this.isAncestor(remoteTip, localTip, commits)) {
+      throw new Error(`Remote branch '${branch}' has diverged from local history. Pull before pushing.`);
+    }
+
+    // Skip everything the server already has through any of its branches
+    const known = Object.values(refs).filter(hash => commits[hash]);
+    const objects = await this.collectGitObjects([localTip], known);
+    const pack = await this.gitPack.createPack(objects);
+    const status = await remote.push([{ ref, oldHash: remoteTip, newHash: localTip }], pack);
+
+    if (!status.ok) {
+      throw new Error(`Remote could not unpack objects: ${status.unpack || 'no response'}`);
+    }
+    if (status.refs[ref] !== 'ok') {
+      throw new Error(`Remote rejected '${branch}': ${status.refs[ref] || 'no response'}`);
+    }
+
+    await this.setRemoteBranch(branch, localTip);
+    return { branch, hash: localTip, upToDate: false, objects: objects.length };
+  }
+
+  // Download the remote's copy of the current branch without touching it
+  async fetch() {
+    const remote = await this.getRemote();
+    const result = await chrome.storage.local.get([this.commitsKey, this.branchKey]);
+    const commits = result[this.commitsKey] || {};
+    const branch = result[this.branchKey] || 'main';
+
+    const { refs, capabilities } = await remote.discoverRefs('git-upload-pack');
+    const remoteTip = refs[`refs/heads/${branch}`];
+
+    if (!remoteTip) {
+      throw new Error(`Remote has no branch named '${branch}'`);
+    }
+
+    let received = 0;
+    if (!commits[remoteTip]) {
+      const haves = Object.values(commits)
+        .sort((a, b) => b.committer.timestamp - a.committer.timestamp)
+        .slice(0, 256)
+        .map(commit => commit.hash);
+      const pack = await remote.fetchPack([remoteTip], haves, capabilities);
+      const objects = await this.gitPack.parsePack(pack);
+      await this.storeFetchedObjects(objects, commits);
+      received = objects.length;
+    }
+
+    await this.setRemoteBranch(branch, remoteTip);
+    return { branch, hash: remoteTip, objects: received };
+  }
+
+  // Decode a fetched pack into stored objects and commit records. Objects
+  // are re-hashed after decoding so anything we can't store losslessly
+  // (e.g. binary files added outside the extension) is rejected.
+  async storeFetchedObjects(objects, commits) {
+    const decoded = {};
+    const newCommits = [];
+
+    for (const { hash, type, body } of objects) {
+      const object = this.objectStore.decodeBody(type, body);
+      if (!(await this.objectStore.verifyObject(hash, object))) {
+        throw new Error(`Remote object ${hash.substring(0, 7)} cannot be stored by this extension`);
+      }
+
+      if (type === 'commit') {
+        newCommits.push({ hash, object });
+      } else {
+        decoded[hash] = object;
+      }
+    }
+
+    await this.objectStore.putObjects(decoded);
+
+    for (const { hash, object } of newCommits) {
+      const commit = {
+        message: object.message,
+        author: object.author,
+        committer: object.committer,
+        parent: object.parents[0] || null,
+        tree: object.tree,
+        stats: this.calculateStats(await this.objectStore.readTree(object.tree)),
+        hash
+      };
+      if (object.parents.length > 1) commit.parents = object.parents;
+      if (object.extraHeaders) commit.extraHeaders = object.extraHeaders;
+      commits[hash] = commit;
+    }
+
+    await chrome.storage.local.set({ [this.commitsKey]: commits });
+  }
+
+  // Remote-tracking tips, like refs/remotes/origin/<branch> in git
+  async setRemoteBranch(branch, hash) {
+    const result = await chrome.storage.local.get([this.repositoryKey]);
+    const repo = result[this.repositoryKey];
+    repo.remoteBranches = { ...(repo.remoteBranches || {}), [branch]: hash };
+    repo.lastSync = Date.now();
+    await chrome.storage.local.set({ [this.repositoryKey]: repo });
+  }
+
+  /**
+   * Add the history of a validated, current-version backup next to the
+   * local one. Commits already present (same hash) are kept as they are;
+   * each backup branch with something new becomes `<prefix>/<branch>` and
+   * backup tags are added unless the name is taken. Nothing else changes,
+   * so the branches can then be merged or checked out as usual.
+   */
+  async mergeHistory(backup, prefix) {
+    this.validateBranchName(prefix);
+
+    const result = await chrome.storage.local.get([this.repositoryKey, this.commitsKey]);
+    const repo = result[this.repositoryKey];
+    const commits = result[this.commitsKey] || {};
+    const has = (name) => Object.prototype.hasOwnProperty.call(repo.branches, name);
+
+    if (has(prefix)) {
+      throw new Error(`Branch '${prefix}' already exists`);
+    }
+    if (Object.keys(repo.branches).some(name => name.startsWith(`${prefix}/`))) {
+      throw new Error(`Branches under '${prefix}/' already exist; choose another name`);
+    }
+
+    const incoming = Object.keys(backup.commits);
+    const added = incoming.filter(hash => !commits[hash]);
+    const localTips = [...Object.values(repo.branches), ...Object.values(repo.tags || {})].filter(Boolean);
+    const known = this.collectAncestors(localTips, commits);
+
+    const branches = [];
+    for (const [branch, tip] of Object.entries(backup.repository.branches)) {
+      if (tip && !known.has(tip)) {
+        const name = `${prefix}/${branch}`;
+        this.validateBranchName(name);
+        branches.push({ name, hash: tip });
+      }
+    }
+
+    const tags = { added: [], skipped: [] };
+    repo.tags = repo.tags || {};
+    for (const [name, hash] of Object.entries(backup.repository.tags || {})) {
+      if (repo.tags[name] === hash) continue;
+      if (Object.prototype.hasOwnProperty.call(repo.tags, name)) {
+        tags.skipped.push(name);
+      } else {
+        repo.tags[name] = hash;
+        tags.added.push(name);
+      }
+    }
+
+    // Objects are content-addressed, so writing ones we already have is
+    // harmless; commits go in only after everything they point at
+    await this.objectStore.putObjects(backup.objects);
+    for (const hash of added) {
+      commits[hash] = backup.commits[hash];
+    }
+    for (const { name, hash } of branches) {
+      repo.branches[name] = hash;
+    }
+
+    await chrome.storage.local.set({
+      [this.repositoryKey]: repo,
+      [this.commitsKey]: commits
+    });
+
+    console.log(`Merged backup history: ${added.length} new commits on ${branches.length} branches`);
+    return {
+      newCommits: added.length,
+      existingCommits: incoming.length - added.length,
+      branches,
+      tags
+    };
+  }
+
   // Export repository data
   async exportRepository() {
     try {
@@ -350,13 +1412,20 @@ export default class GitManager {
         this.configKey
       ]);
 
+      // Backups are plain files; never write the remote access token into them
+      const config = { ...(result[this.configKey] || {}) };
+      if (config.remote) {
+        config.remote = { ...config.remote, token: '' };
+      }
+
       return {
         repository: result[this.repositoryKey],
         commits: result[this.commitsKey],
+        objects: await this.objectStore.getAllObjects(),
         currentBranch: result[this.branchKey],
-        config: result[this.configKey],
+        config,
         exportDate: new Date().toISOString(),
-        version: '1.0.0'
+        version: this.backupVersion
       };
     } catch (error) {
       console.error('Error exporting repository:', error);
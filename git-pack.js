@@ -0,0 +1,402 @@
+/**
+ * Git Pack for Chrome Extension
+ * Writes git packfiles and bundles from stored objects so the history can
+ * be read by regular git tools, and reads packfiles sent by git servers
+ */
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+export default class GitPack {
+  constructor() {
+    this.typeCodes = { commit: 1, tree: 2, blob: 3, tag: 4 };
+    this.typeNames = { 1: 'commit', 2: 'tree', 3: 'blob', 4: 'tag' };
+    this.ofsDelta = 6;
+    this.refDelta = 7;
+  }
+
+  /**
+   * Build a version 2 packfile.
+   * `objects` is a list of { type, body } where body is the raw object
+   * content without its `<type> <size>\0` header.
+   */
+  async createPack(objects) {
+    const header = new Uint8Array(12);
+    header.set(new TextEncoder().encode('PACK'));
+    const view = new DataView(header.buffer);
+    view.setUint32(4, 2);
+    view.setUint32(8, objects.length);
+
+    const parts = [header];
+    for (const object of objects) {
+      parts.push(this.encodeEntryHeader(this.typeCodes[object.type], object.body.length));
+      parts.push(await this.deflate(object.body));
+    }
+
+    const pack = this.concat(parts);
+    const checksum = new Uint8Array(await crypto.subtle.digest('SHA-1', pack));
+    return this.concat([pack, checksum]);
+  }
+
+  /**
+   * Build a `git bundle` (v2) file: a ref list followed by a packfile.
+   * `refs` maps ref names (e.g. refs/heads/main, HEAD) to commit hashes.
+   */
+  async createBundle(refs, objects) {
+    const lines = ['# v2 git bundle'];
+    for (const [name, hash] of Object.entries(refs)) {
+      lines.push(`${hash} ${name}`);
+    }
+
+    const header = new TextEncoder().encode(`${lines.join('\n')}\n\n`);
+    return this.concat([header, await this.createPack(objects)]);
+  }
+
+  // Type and size header: 3 type bits and 4 size bits in the first byte,
+  // then 7 more size bits per continuation byte
+  encodeEntryHeader(typeCode, size) {
+    const bytes = [];
+    let byte = (typeCode << 4) | (size & 0x0f);
+    size = Math.floor(size / 16);
+
+    while (size > 0) {
+      bytes.push(byte | 0x80);
+      byte = size & 0x7f;
+      size = Math.floor(size / 128);
+    }
+    bytes.push(byte);
+
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Read a packfile into a list of { hash, type, body }.
+   * Deltified entries (OFS_DELTA / REF_DELTA) are resolved against their
+   * bases within the same pack.
+   */
+  async parsePack(bytes) {
+    const signature = new TextDecoder().decode(bytes.subarray(0, 4));
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (signature !== 'PACK' || view.getUint32(4) !== 2) {
+      throw new Error('Invalid packfile received from remote');
+    }
+
+    const count = view.getUint32(8);
+    const entries = [];
+    let pos = 12;
+
+    for (let i = 0; i < count; i++) {
+      const offset = pos;
+      let byte = bytes[pos++];
+      const typeCode = (byte >> 4) & 0x07;
+      let size = byte & 0x0f;
+      let shift = 4;
+      while (byte & 0x80) {
+        byte = bytes[pos++];
+        size += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      }
+
+      const entry = { offset, typeCode };
+      if (typeCode === this.ofsDelta) {
+        byte = bytes[pos++];
+        let distance = byte & 0x7f;
+        while (byte & 0x80) {
+          byte = bytes[pos++];
+          distance = ((distance + 1) * 128) + (byte & 0x7f);
+        }
+        entry.baseOffset = offset - distance;
+      } else if (typeCode === this.refDelta) {
+        entry.baseHash = this.toHex(bytes.subarray(pos, pos + 20));
+        pos += 20;
+      }
+
+      const { data, end } = this.inflate(bytes, pos, size);
+      entry.data = data;
+      pos = end;
+      entries.push(entry);
+    }
+
+    return this.resolveEntries(entries);
+  }
+
+  async resolveEntries(entries) {
+    const byOffset = new Map(entries.map(entry => [entry.offset, entry]));
+    const byHash = new Map();
+    const objects = [];
+    let pending = entries;
+
+    // Keep resolving until every delta has found its base
+    while (pending.length > 0) {
+      const unresolved = [];
+
+      for (const entry of pending) {
+        let base = null;
+        if (entry.typeCode === this.ofsDelta) {
+          base = byOffset.get(entry.baseOffset);
+          if (!base || !base.type) base = null;
+        } else if (entry.typeCode === this.refDelta) {
+          base = byHash.get(entry.baseHash) || null;
+        }
+
+        if (entry.typeCode === this.ofsDelta || entry.typeCode === this.refDelta) {
+          if (!base) {
+            unresolved.push(entry);
+            continue;
+          }
+          entry.type = base.type;
+          entry.body = this.applyDelta(base.body, entry.data);
+        } else {
+          entry.type = this.typeNames[entry.typeCode];
+          entry.body = entry.data;
+        }
+
+        entry.hash = await this.hashBody(entry.type, entry.body);
+        byHash.set(entry.hash, entry);
+        objects.push({ hash: entry.hash, type: entry.type, body: entry.body });
+      }
+
+      if (unresolved.length === pending.length) {
+        throw new Error('Packfile contains deltas against objects that were not sent');
+      }
+      pending = unresolved;
+    }
+
+    return objects;
+  }
+
+  applyDelta(base, delta) {
+    let pos = 0;
+    const readSize = () => {
+      let size = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = delta[pos++];
+        size += (byte & 0x7f) * 2 ** shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return size;
+    };
+
+    const baseSize = readSize();
+    if (baseSize !== base.length) {
+      throw new Error('Delta base size mismatch');
+    }
+
+    const result = new Uint8Array(readSize());
+    let out = 0;
+
+    while (pos < delta.length) {
+      const op = delta[pos++];
+      if (op & 0x80) {
+        // Copy from base: up to 4 offset bytes and 3 size bytes follow
+        let offset = 0;
+        let size = 0;
+        for (let i = 0; i < 4; i++) {
+          if (op & (1 << i)) offset |= delta[pos++] << (i * 8);
+        }
+        for (let i = 0; i < 3; i++) {
+          if (op & (0x10 << i)) size |= delta[pos++] << (i * 8);
+        }
+        offset >>>= 0;
+        if (size === 0) size = 0x10000;
+        result.set(base.subarray(offset, offset + size), out);
+        out += size;
+      } else if (op > 0) {
+        // Insert literal bytes
+        result.set(delta.subarray(pos, pos + op), out);
+        pos += op;
+        out += op;
+      } else {
+        throw new Error('Invalid delta opcode');
+      }
+    }
+
+    return result;
+  }
+
+  async hashBody(type, body) {
+    const header = new TextEncoder().encode(`${type} ${body.length}\0`);
+    const digest = await crypto.subtle.digest('SHA-1', this.concat([header, body]));
+    return this.toHex(new Uint8Array(digest));
+  }
+
+  /**
+   * Inflate one zlib stream starting at `start`.
+   * DecompressionStream can't say where a stream ends, and pack entries
+   * are stored back to back without lengths, so this is a small RFC 1951
+   * decoder that reports the offset just past the stream.
+   */
+  inflate(input, start, size) {
+    const output = new Uint8Array(size);
+    let out = 0;
+    let pos = start + 2; // zlib header
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const bits = (n) => {
+      while (bitCount < n) {
+        if (pos >= input.length) throw new Error('Unexpected end of packfile');
+        bitBuffer |= input[pos++] << bitCount;
+        bitCount += 8;
+      }
+      const value = bitBuffer & ((1 << n) - 1);
+      bitBuffer >>>= n;
+      bitCount -= n;
+      return value;
+    };
+
+    const decode = (table) => {
+      let code = 0;
+      let first = 0;
+      let index = 0;
+      for (let length = 1; length < 16; length++) {
+        code |= bits(1);
+        const count = table.counts[length];
+        if (code - count < first) {
+          return table.symbols[index + (code - first)];
+        }
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+      }
+      throw new Error('Invalid Huffman code in packfile');
+    };
+
+    let final = 0;
+    while (!final) {
+      final = bits(1);
+      const blockType = bits(2);
+
+      if (blockType === 0) {
+        bitBuffer = 0;
+        bitCount = 0;
+        const length = input[pos] | (input[pos + 1] << 8);
+        pos += 4;
+        output.set(input.subarray(pos, pos + length), out);
+        pos += length;
+        out += length;
+        continue;
+      }
+
+      let lengths;
+      let distances;
+      if (blockType === 1) {
+        lengths = this.fixedTables().lengths;
+        distances = this.fixedTables().distances;
+      } else if (blockType === 2) {
+        ({ lengths, distances } = this.readDynamicTables(bits, decode));
+      } else {
+        throw new Error('Invalid deflate block in packfile');
+      }
+
+      for (;;) {
+        const symbol = decode(lengths);
+        if (symbol < 256) {
+          output[out++] = symbol;
+        } else if (symbol === 256) {
+          break;
+        } else {
+          const lengthIndex = symbol - 257;
+          const length = LENGTH_BASE[lengthIndex] + bits(LENGTH_EXTRA[lengthIndex]);
+          const distanceIndex = decode(distances);
+          const distance = DISTANCE_BASE[distanceIndex] + bits(DISTANCE_EXTRA[distanceIndex]);
+          for (let i = 0; i < length; i++, out++) {
+            output[out] = output[out - distance];
+          }
+        }
+      }
+    }
+
+    // Skip the adler32 checksum after the byte-aligned end of the stream
+    return { data: output.subarray(0, out), end: pos + 4 };
+  }
+
+  readDynamicTables(bits, decode) {
+    const literalCount = bits(5) + 257;
+    const distanceCount = bits(5) + 1;
+    const codeCount = bits(4) + 4;
+
+    const codeLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeCount; i++) {
+      codeLengths[CODE_LENGTH_ORDER[i]] = bits(3);
+    }
+    const codeTable = this.buildTable(codeLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+      const symbol = decode(codeTable);
+      if (symbol < 16) {
+        lengths.push(symbol);
+      } else if (symbol === 16) {
+        const previous = lengths[lengths.length - 1];
+        for (let i = bits(2) + 3; i > 0; i--) lengths.push(previous);
+      } else if (symbol === 17) {
+        for (let i = bits(3) + 3; i > 0; i--) lengths.push(0);
+      } else {
+        for (let i = bits(7) + 11; i > 0; i--) lengths.push(0);
+      }
+    }
+
+    return {
+      lengths: this.buildTable(lengths.slice(0, literalCount)),
+      distances: this.buildTable(lengths.slice(literalCount))
+    };
+  }
+
+  fixedTables() {
+    if (!this.fixed) {
+      const lengths = new Array(288);
+      lengths.fill(8, 0, 144);
+      lengths.fill(9, 144, 256);
+      lengths.fill(7, 256, 280);
+      lengths.fill(8, 280, 288);
+      this.fixed = {
+        lengths: this.buildTable(lengths),
+        distances: this.buildTable(new Array(30).fill(5))
+      };
+    }
+    return this.fixed;
+  }
+
+  // Canonical Huffman table: code counts per length and symbols by code
+  buildTable(codeLengths) {
+    const counts = new Uint16Array(16);
+    for (const length of codeLengths) counts[length]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let length = 1; length < 15; length++) {
+      offsets[length + 1] = offsets[length] + counts[length];
+    }
+
+    const symbols = new Uint16Array(codeLengths.length);
+    codeLengths.forEach((length, symbol) => {
+      if (length) symbols[offsets[length]++] = symbol;
+    });
+
+    return { counts, symbols };
+  }
+
+  toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  async deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    return bytes;
+  }
+}
@@ -0,0 +1,195 @@
+/**
+ * Git Remote for Chrome Extension
+ * Talks to a git server over the smart HTTP protocol so the bookmark
+ * history can be pushed to and fetched from any regular git host
+ */
+export default class GitRemote {
+  constructor(url, credentials = {}) {
+    this.url = String(url || '').replace(/\/+$/, '');
+    this.credentials = credentials;
+    this.zeroHash = '0'.repeat(40);
+    this.agent = 'agent=bookmark-git-tracker/1.0';
+  }
+
+  /**
+   * Ask the server which refs it has.
+   * Returns { refs: { 'refs/heads/main': sha, ... }, capabilities: Set }
+   */
+  async discoverRefs(service) {
+    const response = await this.request(`${this.url}/info/refs?service=${service}`, {
+      method: 'GET'
+    });
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType !== `application/x-${service}-advertisement`) {
+      throw new Error('Remote does not speak the git smart HTTP protocol');
+    }
+
+    const lines = this.readPktLines(new Uint8Array(await response.arrayBuffer()));
+    const refs = {};
+    let capabilities = new Set();
+
+    // First line is "# service=...", then a flush, then the ref list
+    for (const line of lines.slice(1)) {
+      if (line === null) continue;
+      let text = new TextDecoder().decode(line).replace(/\n$/, '');
+
+      const nul = text.indexOf('\0');
+      if (nul !== -1) {
+        capabilities = new Set(text.substring(nul + 1).split(' ').filter(Boolean));
+        text = text.substring(0, nul);
+      }
+
+      const [hash, name] = text.split(' ');
+      if (name && name !== 'capabilities^{}' && !name.endsWith('^{}')) {
+        refs[name] = hash;
+      }
+    }
+
+    return { refs, capabilities };
+  }
+
+  /**
+   * Update refs on the server.
+   * `updates` is a list of { ref, oldHash, newHash }; `pack` holds the
+   * objects the server is missing.
+   * Returns { ok, refs: { ref: 'ok' | reason } }
+   */
+  async push(updates, pack) {
+    const commands = updates.map((update, i) => {
+      const line = `${update.oldHash || this.zeroHash} ${update.newHash} ${update.ref}`;
+      return this.pktLine(i === 0 ? `${line}\0report-status ${this.agent}\n` : `${line}\n`);
+    });
+
+    const response = await this.request(`${this.url}/git-receive-pack`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-git-receive-pack-request',
+        'Accept': 'application/x-git-receive-pack-result'
+      },
+      body: this.concat([...commands, this.flushPkt(), pack])
+    });
+
+    const status = { ok: false, refs: {} };
+    for (const line of this.readPktLines(new Uint8Array(await response.arrayBuffer()))) {
+      if (line === null) continue;
+      const text = new TextDecoder().decode(line).replace(/\n$/, '');
+
+      if (text.startsWith('unpack ')) {
+        status.ok = text === 'unpack ok';
+        status.unpack = text.substring(7);
+      } else if (text.startsWith('ok ')) {
+        status.refs[text.substring(3)] = 'ok';
+      } else if (text.startsWith('ng ')) {
+        const [ref, ...reason] = text.substring(3).split(' ');
+        status.refs[ref] = reason.join(' ') || 'rejected';
+      }
+    }
+
+    return status;
+  }
+
+  /**
+   * Download a packfile holding `wants` and everything they need that is
+   * not already reachable from `haves`. Returns the raw pack bytes.
+   */
+  async fetchPack(wants, haves, capabilities) {
+    const supported = ['ofs-delta', 'no-progress'].filter(cap => capabilities.has(cap));
+    const lines = wants.map((hash, i) => this.pktLine(
+      i === 0 ? `want ${hash} ${[...supported, this.agent].join(' ')}\n` : `want ${hash}\n`
+    ));
+    lines.push(this.flushPkt());
+    for (const hash of haves) {
+      lines.push(this.pktLine(`have ${hash}\n`));
+    }
+    lines.push(this.pktLine('done\n'));
+
+    const response = await this.request(`${this.url}/git-upload-pack`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-git-upload-pack-request',
+        'Accept': 'application/x-git-upload-pack-result'
+      },
+      body: this.concat(lines)
+    });
+
+    // ACK/NAK lines come first, followed by the pack itself
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    let pos = 0;
+    while (pos < bytes.length) {
+      if (new TextDecoder().decode(bytes.subarray(pos, pos + 4)) === 'PACK') {
+        return bytes.subarray(pos);
+      }
+      const length = parseInt(new TextDecoder().decode(bytes.subarray(pos, pos + 4)), 16);
+      if (Number.isNaN(length)) break;
+      pos += length === 0 ? 4 : length;
+    }
+
+    throw new Error('Remote did not send a packfile');
+  }
+
+  async request(url, options) {
+    const headers = { ...(options.headers || {}) };
+    const { username, token } = this.credentials;
+    if (username || token) {
+      headers.Authorization = `Basic ${btoa(`${username || ''}:${token || ''}`)}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(url, { ...options, headers, credentials: 'omit' });
+    } catch (error) {
+      throw new Error(`Could not reach remote: ${error.message}`);
+    }
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Remote rejected the credentials');
+    }
+    if (!response.ok) {
+      throw new Error(`Remote responded with HTTP ${response.status}`);
+    }
+
+    return response;
+  }
+
+  pktLine(text) {
+    const payload = new TextEncoder().encode(text);
+    const length = (payload.length + 4).toString(16).padStart(4, '0');
+    return this.concat([new TextEncoder().encode(length), payload]);
+  }
+
+  flushPkt() {
+    return new TextEncoder().encode('0000');
+  }
+
+  // Split a pkt-line stream; flush packets are returned as null
+  readPktLines(bytes) {
+    const lines = [];
+    let pos = 0;
+
+    while (pos + 4 <= bytes.length) {
+      const length = parseInt(new TextDecoder().decode(bytes.subarray(pos, pos + 4)), 16);
+      if (Number.isNaN(length)) break;
+
+      if (length === 0) {
+        lines.push(null);
+        pos += 4;
+      } else {
+        lines.push(bytes.subarray(pos + 4, pos + length));
+        pos += length;
+      }
+    }
+
+    return lines;
+  }
+
+  concat(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    return bytes;
+  }
+}
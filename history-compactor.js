@@ -0,0 +1,244 @@
+/**
+ * History Compactor
+ * Applies a retention policy to the commit history: recent commits are
+ * kept as they are, older ones are thinned out to one per day and then
+ * one per week. The commits that stay absorb the ones dropped before them
+ * into a summary message, so every line of history stays connected.
+ * Afterwards, commits and objects nothing refers to any more are deleted.
+ */
+export default class HistoryCompactor {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+    this.objectStore = gitManager.objectStore;
+    this.day = 24 * 60 * 60 * 1000;
+    this.maxSummaryLines = 50;
+
+    // Keep everything for keepAllDays, then the last commit of each day
+    // until keepDailyDays, then the last commit of each week
+    this.defaultPolicy = { keepAllDays: 30, keepDailyDays: 90 };
+  }
+
+  normalizePolicy(policy = {}) {
+    const days = (value, fallback) => {
+      const number = Math.floor(Number(value));
+      return Number.isFinite(number) && number >= 1 ? number : fallback;
+    };
+
+    const keepAllDays = days(policy.keepAllDays, this.defaultPolicy.keepAllDays);
+    const keepDailyDays = Math.max(keepAllDays, days(policy.keepDailyDays, this.defaultPolicy.keepDailyDays));
+    return { keepAllDays, keepDailyDays };
+  }
+
+  // Same report as apply() without changing anything
+  async preview(policy) {
+    const state = await this.load();
+    const result = await this.compact(state, this.normalizePolicy(policy));
+    return result.summary;
+  }
+
+  /**
+   * Squash and collect garbage. Returns { commitsBefore, commitsAfter,
+   * squashed, objectsRemoved, bytesBefore, bytesAfter, reclaimed }.
+   */
+  async apply(policy) {
+    const state = await this.load();
+    const { commits, removedObjects, summary } = await this.compact(state, this.normalizePolicy(policy));
+
+    if (summary.commitsBefore === summary.commitsAfter && removedObjects.length === 0 && !summary.rewritten) {
+      return summary;
+    }
+
+    const gm = this.gitManager;
+    await chrome.storage.local.set({
+      [gm.repositoryKey]: state.repo,
+      [gm.commitsKey]: commits
+    });
+    await this.objectStore.removeObjects(removedObjects);
+    await gm.searchIndex.prune();
+
+    console.log(`Compacted history from ${summary.commitsBefore} to ${summary.commitsAfter} commits, reclaimed ${summary.reclaimed} bytes`);
+    return summary;
+  }
+
+  async load() {
+    const gm = this.gitManager;
+    const result = await chrome.storage.local.get([gm.repositoryKey, gm.commitsKey]);
+
+    return {
+      repo: result[gm.repositoryKey],
+      commits: result[gm.commitsKey] || {},
+      objects: await this.objectStore.getAllObjects()
+    };
+  }
+
+  // Works on `state` in memory; refs in state.repo are moved to the new ids
+  async compact(state, policy, now = Date.now()) {
+    const { repo, commits, objects } = state;
+    const tips = [
+      repo.head,
+      ...Object.values(repo.branches),
+      ...Object.values(repo.tags || {}),
+      ...Object.values(repo.remoteBranches || {})
+    ].filter(hash => hash && commits[hash]);
+    const reachable = this.gitManager.collectAncestors(tips, commits);
+
+    // Tips and anything already pushed are never squashed away
+    const keep = new Set([
+      ...tips,
+      ...this.gitManager.collectAncestors(Object.values(repo.remoteBranches || {}), commits)
+    ]);
+    const lastInBucket = new Map();
+    for (const hash of reachable) {
+      const timestamp = commits[hash].committer.timestamp;
+      const bucket = this.bucketOf(timestamp, policy, now);
+      if (bucket === null) {
+        keep.add(hash);
+      } else if (!lastInBucket.has(bucket) || timestamp > commits[lastInBucket.get(bucket)].committer.timestamp) {
+        lastInBucket.set(bucket, hash);
+      }
+    }
+    for (const hash of lastInBucket.values()) keep.add(hash);
+
+    const rewritten = {};
+    const renamed = new Map();
+    const nearestKept = new Map();
+    const absorbed = new Set();
+    let squashed = 0;
+
+    for (const hash of this.gitManager.topologicalOrder(commits)) {
+      if (!reachable.has(hash)) continue;
+
+      const commit = commits[hash];
+      const parents = this.parentsOf(commit).filter(parent => reachable.has(parent));
+      let kept = [...new Set(parents.flatMap(parent => (keep.has(parent) ? [parent] : nearestKept.get(parent))))];
+
+      if (!keep.has(hash)) {
+        nearestKept.set(hash, kept);
+        continue;
+      }
+
+      // Drop parents that are already ancestors of another parent
+      if (kept.length > 1) {
+        kept = kept.filter(parent => !kept.some(other =>
+          other !== parent && this.gitManager.isAncestor(parent, other, commits)
+        ));
+      }
+
+      const dropped = this.collectDropped(parents, keep, commits, absorbed);
+      const updated = {
+        ...commit,
+        parent: kept.length > 0 ? renamed.get(kept[0]) : null
+      };
+      delete updated.parents;
+      if (kept.length > 1) updated.parents = kept.map(parent => renamed.get(parent));
+      if (dropped.length > 0) {
+        updated.message = this.summaryMessage([...dropped, commit]);
+        squashed++;
+      }
+      updated.hash = await this.gitManager.hashCommit(updated);
+
+      renamed.set(hash, updated.hash);
+      rewritten[updated.hash] = updated;
+    }
+
+    const rename = (hash) => (hash ? renamed.get(hash) || hash : hash);
+    repo.head = rename(repo.head);
+    for (const key of ['branches', 'tags', 'remoteBranches']) {
+      for (const [name, hash] of Object.entries(repo[key] || {})) {
+        repo[key][name] = rename(hash);
+      }
+    }
+
+    const used = this.usedObjects(Object.values(rewritten), objects);
+    const removedObjects = Object.keys(objects).filter(hash => !used.has(hash));
+    const size = (key, value) => key.length + JSON.stringify(value).length;
+    const objectBytes = (hashes) => hashes.reduce((sum, hash) => sum + size(this.objectStore.key(hash), objects[hash]), 0);
+
+    const bytesBefore = size(this.gitManager.commitsKey, commits) + objectBytes(Object.keys(objects));
+    const bytesAfter = size(this.gitManager.commitsKey, rewritten) + objectBytes([...used].filter(hash => objects[hash]));
+
+    return {
+      commits: rewritten,
+      removedObjects,
+      summary: {
+        commitsBefore: Object.keys(commits).length,
+        commitsAfter: Object.keys(rewritten).length,
+        squashed,
+        rewritten: [...renamed].some(([from, to]) => from !== to),
+        objectsRemoved: removedObjects.length,
+        bytesBefore,
+        bytesAfter,
+        reclaimed: Math.max(0, bytesBefore - bytesAfter)
+      }
+    };
+  }
+
+  // null for commits kept as they are, otherwise the day or week they
+  // are thinned out to (local time, weeks starting on Monday)
+  bucketOf(timestamp, policy, now) {
+    const age = now - timestamp;
+    if (age < policy.keepAllDays * this.day) return null;
+
+    const date = new Date(timestamp);
+    if (age < policy.keepDailyDays * this.day) {
+      return `day:${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+    }
+
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return `week:${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+  }
+
+  // Dropped commits reachable from `parents` without passing a kept one.
+  // Each is claimed by the first kept commit that reaches it.
+  collectDropped(parents, keep, commits, absorbed) {
+    const dropped = [];
+    const stack = [...parents];
+
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (keep.has(hash) || absorbed.has(hash) || !commits[hash]) continue;
+      absorbed.add(hash);
+      dropped.push(commits[hash]);
+      stack.push(...this.parentsOf(commits[hash]));
+    }
+
+    return dropped;
+  }
+
+  summaryMessage(squashedCommits) {
+    const ordered = [...squashedCommits].sort((a, b) => a.committer.timestamp - b.committer.timestamp);
+    const day = (commit) => new Date(commit.committer.timestamp).toISOString().substring(0, 10);
+    const first = day(ordered[0]);
+    const last = day(ordered[ordered.length - 1]);
+
+    const lines = ordered.map(commit => `- ${commit.message.split('\n')[0]}`);
+    if (lines.length > this.maxSummaryLines) {
+      lines.splice(this.maxSummaryLines, lines.length, `- ... and ${ordered.length - this.maxSummaryLines} more`);
+    }
+
+    const range = first === last ? `on ${first}` : `from ${first} to ${last}`;
+    return `Squashed ${ordered.length} commits ${range}\n\n${lines.join('\n')}`;
+  }
+
+  usedObjects(commitList, objects) {
+    const used = new Set();
+    const stack = commitList.map(commit => commit.tree);
+
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (used.has(hash)) continue;
+      used.add(hash);
+
+      const object = objects[hash];
+      for (const entry of object?.type === 'tree' ? object.entries : []) {
+        stack.push(entry.hash);
+      }
+    }
+
+    return used;
+  }
+
+  parentsOf(commit) {
+    return commit.parents || (commit.parent ? [commit.parent] : []);
+  }
+}
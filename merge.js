@@ -0,0 +1,243 @@
+class MergeViewController {
+  constructor() {
+    const params = new URLSearchParams(location.search);
+    this.hash = params.get('hash');
+    this.label = params.get('label') || `commit ${(this.hash || '').substring(0, 8)}`;
+    this.conflicts = [];
+    this.resolutions = {};
+    this.conflictLabels = {
+      modified: 'Changed differently on both sides',
+      moved: 'Moved to different folders on each side',
+      deleted: 'Deleted on one side, changed on the other',
+      deletedParent: 'Folder deleted on one side, but the other side put items in it'
+    };
+
+    this.initializeElements();
+    this.setupEventListeners();
+    this.loadMerge();
+  }
+
+  initializeElements() {
+    this.mergeTitle = document.getElementById('merge-title');
+    this.mergeSubtitle = document.getElementById('merge-subtitle');
+    this.mergeSummary = document.getElementById('merge-summary');
+    this.mergeOurs = document.getElementById('merge-ours');
+    this.mergeTheirs = document.getElementById('merge-theirs');
+    this.mergeBase = document.getElementById('merge-base');
+    this.conflictSummary = document.getElementById('conflict-summary');
+    this.conflictList = document.getElementById('conflict-list');
+    this.useOurs = document.getElementById('use-ours');
+    this.useTheirs = document.getElementById('use-theirs');
+    this.completeMerge = document.getElementById('complete-merge');
+    this.toast = document.getElementById('toast');
+  }
+
+  setupEventListeners() {
+    this.conflictList.addEventListener('change', (e) => {
+      if (e.target.dataset.id) {
+        this.resolutions[e.target.dataset.id] = e.target.value;
+        this.updateProgress();
+      }
+    });
+
+    this.useOurs.addEventListener('click', () => this.resolveAll('ours'));
+    this.useTheirs.addEventListener('click', () => this.resolveAll('theirs'));
+    this.completeMerge.addEventListener('click', () => this.runMerge());
+  }
+
+  async loadMerge() {
+    if (!this.hash) {
+      this.showError('No commit specified');
+      return;
+    }
+
+    try {
+      const result = await this.sendMessage({ action: 'previewMerge', commitHash: this.hash });
+
+      if (!result.success) {
+        this.showError(result.error || 'Failed to prepare merge');
+        return;
+      }
+
+      this.renderMerge(result);
+    } catch (error) {
+      console.error('Error preparing merge:', error);
+      this.showError('Failed to prepare merge');
+    }
+  }
+
+  renderMerge(merge) {
+    document.title = `Merge ${this.label} - Bookmark Git Tracker`;
+    this.mergeTitle.textContent = `Merge ${this.label}`;
+    this.mergeSubtitle.textContent = `into ${merge.branch}`;
+    this.mergeOurs.innerHTML = merge.ours ? this.commitLink(merge.ours) : 'None';
+    this.mergeTheirs.innerHTML = this.commitLink(merge.theirs);
+    this.mergeBase.innerHTML = merge.base ? this.commitLink(merge.base) : 'None (unrelated histories)';
+
+    if (merge.status === 'upToDate') {
+      this.mergeSummary.textContent = `${merge.branch} already contains these changes.`;
+    } else if (merge.status === 'fastForward') {
+      this.mergeSummary.textContent = `${merge.branch} has no changes of its own, so it will simply move forward.`;
+    } else {
+      const { bookmarks, folders } = merge.diff;
+      this.mergeSummary.textContent =
+        `Compared with ${merge.branch} now: ${bookmarks.added} bookmarks added, ${bookmarks.removed} removed, ${bookmarks.changed} changed; ` +
+        `${folders.added} folders added, ${folders.removed} removed, ${folders.changed} changed.`;
+    }
+
+    this.conflicts = merge.conflicts || [];
+    this.renderConflicts();
+    this.completeMerge.disabled = merge.status === 'upToDate';
+    this.updateProgress();
+  }
+
+  renderConflicts() {
+    if (this.conflicts.length === 0) {
+      this.conflictList.innerHTML = `
+        <div class="empty-state">
+          <h3>No conflicts</h3>
+          <p>Everything can be merged automatically.</p>
+        </div>
+      `;
+      this.useOurs.disabled = true;
+      this.useTheirs.disabled = true;
+      return;
+    }
+
+    this.conflictList.innerHTML = this.conflicts.map(conflict => {
+      const id = this.escapeHtml(conflict.id);
+      const chosen = this.resolutions[conflict.id];
+
+      return `
+        <div class="conflict-item">
+          <div class="change-title">${this.escapeHtml(conflict.title || (conflict.kind === 'folder' ? 'Untitled folder' : 'Untitled'))}</div>
+          <div class="change-detail">${this.conflictLabels[conflict.type]}</div>
+          <div class="conflict-options">
+            ${['ours', 'theirs'].map(side => `
+              <label class="conflict-option">
+                <input type="radio" name="conflict-${id}" value="${side}" data-id="${id}" ${chosen === side ? 'checked' : ''} />
+                <div>
+                  <div class="conflict-side">${side === 'ours' ? 'Keep ours' : 'Take theirs'}</div>
+                  ${this.describeSide(conflict[side], conflict.kind)}
+                </div>
+              </label>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  describeSide(node, kind) {
+    if (!node) {
+      return `<div class="change-detail">${kind === 'folder' ? 'Delete the folder and everything in it' : 'Delete it'}</div>`;
+    }
+
+    return `
+      <div>${this.escapeHtml(node.title || '(no title)')}</div>
+      ${node.url ? `<div class="change-detail">${this.escapeHtml(node.url)}</div>` : ''}
+      <div class="change-detail">in ${this.escapeHtml(this.formatPath(node.path))}</div>
+    `;
+  }
+
+  resolveAll(side) {
+    for (const conflict of this.conflicts) {
+      this.resolutions[conflict.id] = side;
+    }
+    this.renderConflicts();
+    this.updateProgress();
+  }
+
+  updateProgress() {
+    if (this.conflicts.length === 0) return;
+
+    const resolved = this.conflicts.filter(conflict => this.resolutions[conflict.id]).length;
+    this.conflictSummary.textContent = `${resolved} of ${this.conflicts.length} conflicts resolved.`;
+    this.completeMerge.disabled = resolved < this.conflicts.length;
+  }
+
+  async runMerge() {
+    try {
+      this.completeMerge.disabled = true;
+      this.completeMerge.textContent = 'Merging...';
+
+      const result = await this.sendMessage({
+        action: 'mergeCommit',
+        commitHash: this.hash,
+        label: this.label,
+        resolutions: this.resolutions
+      });
+
+      if (!result.success) {
+        this.showToast(result.error || 'Merge failed', 'error');
+        this.completeMerge.disabled = false;
+        return;
+      }
+
+      if (result.status === 'conflicts') {
+        // The histories moved on while this page was open
+        this.conflicts = result.conflicts;
+        this.renderConflicts();
+        this.updateProgress();
+        this.showToast('New conflicts appeared, please review them', 'warning');
+        return;
+      }
+
+      this.useOurs.disabled = true;
+      this.useTheirs.disabled = true;
+      this.conflictList.querySelectorAll('input').forEach(input => { input.disabled = true; });
+      this.mergeSummary.innerHTML = `Merged into ${this.escapeHtml(result.branch)} as ${this.commitLink(result.hash)}.`;
+      this.showToast('Merge complete', 'success');
+    } catch (error) {
+      console.error('Error merging:', error);
+      this.showToast('Merge failed', 'error');
+      this.completeMerge.disabled = false;
+    } finally {
+      this.completeMerge.textContent = 'Complete Merge';
+    }
+  }
+
+  formatPath(path) {
+    return path && path.length > 0 ? path.join(' › ') : '(root)';
+  }
+
+  commitLink(hash) {
+    return `<a class="mono" href="commit.html?hash=${encodeURIComponent(hash)}">${hash.substring(0, 8)}</a>`;
+  }
+
+  showError(message) {
+    this.mergeTitle.textContent = 'Merge unavailable';
+    this.mergeSummary.textContent = message;
+    this.conflictList.innerHTML = '';
+    this.completeMerge.disabled = true;
+    this.showToast(message, 'error');
+  }
+
+  showToast(message, type = 'info') {
+    this.toast.textContent = message;
+    this.toast.className = `toast toast-${type} show`;
+
+    setTimeout(() => {
+      this.toast.classList.remove('show');
+    }, 3000);
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        resolve(response || {});
+      });
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Initialize merge view when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new MergeViewController();
+});
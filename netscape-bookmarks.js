@@ -0,0 +1,294 @@
+/**
+ * Netscape Bookmarks
+ * Reads and writes the bookmarks.html format that every browser can import
+ * and export. Works on plain strings since the service worker has no
+ * DOMParser.
+ */
+export default class NetscapeBookmarks {
+  constructor() {
+    this.indent = '    ';
+  }
+
+  /**
+   * Serialize a bookmark tree (chrome.bookmarks.getTree() shape) the way
+   * Chrome exports it: the bookmarks bar is the toolbar folder, the contents
+   * of "Other bookmarks" sit at the top level and any other permanent folder
+   * with content (mobile bookmarks) becomes a folder of the same name.
+   */
+  serialize(bookmarkData) {
+    const root = Array.isArray(bookmarkData) ? bookmarkData[0] : bookmarkData;
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>'
+    ];
+
+    (root?.children || []).forEach((folder, i) => {
+      const role = this.rootRole(folder, i);
+      if (role === 'toolbar') {
+        lines.push(...this.serializeFolder(folder, 1, { PERSONAL_TOOLBAR_FOLDER: 'true' }));
+      } else if (role === 'other') {
+        for (const child of folder.children || []) {
+          lines.push(...this.serializeNode(child, 1));
+        }
+      } else if (folder.children && folder.children.length > 0) {
+        lines.push(...this.serializeFolder(folder, 1));
+      }
+    });
+
+    lines.push('</DL><p>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  // Permanent folders are told apart by folderType where Chrome provides
+  // it, otherwise by their fixed position under the root
+  rootRole(folder, index) {
+    const type = folder.folderType || ['bookmarks-bar', 'other', 'mobile'][index];
+    if (type === 'bookmarks-bar') return 'toolbar';
+    if (type === 'other') return 'other';
+    return 'folder';
+  }
+
+  serializeNode(node, depth) {
+    if (node.url === undefined) {
+      return this.serializeFolder(node, depth);
+    }
+
+    const attributes = this.formatAttributes({ HREF: node.url, ADD_DATE: this.toSeconds(node.dateAdded) });
+    return [`${this.indent.repeat(depth)}<DT><A${attributes}>${this.escape(node.title || '')}</A>`];
+  }
+
+  serializeFolder(folder, depth, extra = {}) {
+    const pad = this.indent.repeat(depth);
+    const attributes = this.formatAttributes({
+      ADD_DATE: this.toSeconds(folder.dateAdded),
+      LAST_MODIFIED: this.toSeconds(folder.dateGroupModified),
+      ...extra
+    });
+
+    return [
+      `${pad}<DT><H3${attributes}>${this.escape(folder.title || '')}</H3>`,
+      `${pad}<DL><p>`,
+      ...(folder.children || []).flatMap(child => this.serializeNode(child, depth + 1)),
+      `${pad}</DL><p>`
+    ];
+  }
+
+  formatAttributes(attributes) {
+    return Object.entries(attributes)
+      .filter(([, value]) => value !== undefined)
+      .map(([name, value]) => ` ${name}="${this.escape(String(value))}"`)
+      .join('');
+  }
+
+  toSeconds(timestamp) {
+    return timestamp ? String(Math.floor(timestamp / 1000)) : undefined;
+  }
+
+  /**
+   * Parse a bookmarks.html file into
+   * { toolbar: [...nodes], other: [...nodes], bookmarks, folders }.
+   * Nodes are { title, url?, dateAdded?, dateGroupModified?, children? }.
+   * The toolbar folder's contents go to `toolbar`; everything else at the
+   * top level (including Firefox's "Other Bookmarks" folder, whose contents
+   * are inlined) goes to `other`.
+   */
+  parse(html) {
+    const text = String(html || '');
+    if (!/<!DOCTYPE\s+NETSCAPE-Bookmark-file-1>/i.test(text) && !/<DL\b/i.test(text)) {
+      throw new Error('Not a bookmarks.html file');
+    }
+
+    const result = { toolbar: [], other: [], bookmarks: 0, folders: 0 };
+    const top = { children: [] };
+    const stack = [];
+    let pendingFolder = null;
+
+    const pattern = /<H3\b([^>]*)>([\s\S]*?)<\/H3>|<A\b([^>]*)>([\s\S]*?)<\/A>|<DL\b[^>]*>|<\/DL>/gi;
+    for (const match of text.matchAll(pattern)) {
+      const parent = stack[stack.length - 1];
+      const tag = match[0].substring(0, 3).toUpperCase();
+
+      if (match[1] !== undefined) {
+        const attributes = this.parseAttributes(match[1]);
+        const folder = {
+          title: this.unescape(this.stripTags(match[2])),
+          dateAdded: this.toMilliseconds(attributes.ADD_DATE),
+          dateGroupModified: this.toMilliseconds(attributes.LAST_MODIFIED),
+          children: []
+        };
+        if (attributes.PERSONAL_TOOLBAR_FOLDER === 'true') folder.toolbar = true;
+        if (attributes.UNFILED_BOOKMARKS_FOLDER === 'true') folder.unfiled = true;
+
+        (parent || top).children.push(folder);
+        pendingFolder = folder;
+        result.folders++;
+      } else if (match[3] !== undefined) {
+        const attributes = this.parseAttributes(match[3]);
+        if (attributes.HREF) {
+          (parent || top).children.push({
+            title: this.unescape(this.stripTags(match[4])),
+            url: attributes.HREF,
+            dateAdded: this.toMilliseconds(attributes.ADD_DATE)
+          });
+          result.bookmarks++;
+        }
+        pendingFolder = null;
+      } else if (tag === '<DL') {
+        // The outermost list belongs to the document itself
+        stack.push(pendingFolder || (stack.length === 0 ? top : parent));
+        pendingFolder = null;
+      } else {
+        stack.pop();
+        pendingFolder = null;
+      }
+    }
+
+    for (const node of top.children) {
+      if (node.toolbar && result.toolbar.length === 0) {
+        result.toolbar = node.children;
+        result.folders--;
+      } else if (node.unfiled || node.toolbar) {
+        result.other.push(...node.children);
+        result.folders--;
+      } else {
+        result.other.push(node);
+      }
+    }
+
+    for (const node of [...result.toolbar, ...result.other]) this.stripMarkers(node);
+    return result;
+  }
+
+  stripMarkers(node) {
+    delete node.toolbar;
+    delete node.unfiled;
+    for (const child of node.children || []) this.stripMarkers(child);
+  }
+
+  parseAttributes(source) {
+    const attributes = {};
+    for (const match of source.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g)) {
+      attributes[match[1].toUpperCase()] = this.unescape(match[2] ?? match[3] ?? match[4]);
+    }
+    return attributes;
+  }
+
+  toMilliseconds(seconds) {
+    const value = Number(seconds);
+    return Number.isFinite(value) && value > 0 ? value * 1000 : undefined;
+  }
+
+  /**
+   * Turn a parsed file into a full bookmark tree shaped like `template`
+   * (normally HEAD's tree): the permanent folders are kept, the bookmarks
+   * bar gets the toolbar contents and "Other bookmarks" the rest. Nodes
+   * that match one in the template (URL for bookmarks, title within the
+   * same folder for folders) keep its id so diffs and restores line up;
+   * the rest get fresh ids.
+   */
+  toBookmarkTree(parsed, template) {
+    const templateRoot = Array.isArray(template) ? template[0] : template;
+    if (!templateRoot || !Array.isArray(templateRoot.children)) {
+      throw new Error('No bookmark tree to import into');
+    }
+
+    const byUrl = new Map();
+    const byFolder = new Map();
+    const addTo = (map, key, id) => {
+      if (!map.has(key)) map.set(key, []);
+      map.get(key).push(id);
+    };
+    const index = (node) => {
+      for (const child of node.children || []) {
+        if (child.url !== undefined) {
+          addTo(byUrl, child.url, child.id);
+        } else {
+          addTo(byFolder, `${node.id}/${child.title || ''}`, child.id);
+          index(child);
+        }
+      }
+    };
+    templateRoot.children.forEach(index);
+
+    const prefix = `html-${Date.now().toString(36)}`;
+    let nextId = 0;
+    const claim = (map, key) => map.get(key)?.shift() || `${prefix}-${++nextId}`;
+
+    const build = (node, parentId, position) => {
+      if (node.url !== undefined) {
+        return {
+          id: claim(byUrl, node.url),
+          parentId,
+          index: position,
+          title: node.title,
+          url: node.url,
+          dateAdded: node.dateAdded || Date.now()
+        };
+      }
+
+      const id = claim(byFolder, `${parentId}/${node.title}`);
+      return {
+        id,
+        parentId,
+        index: position,
+        title: node.title,
+        dateAdded: node.dateAdded || Date.now(),
+        dateGroupModified: node.dateGroupModified || node.dateAdded || Date.now(),
+        children: node.children.map((child, i) => build(child, id, i))
+      };
+    };
+
+    // Other permanent folders (mobile bookmarks) were exported as a
+    // top-level folder of the same name; take them back from there
+    const roles = templateRoot.children.map((folder, i) => this.rootRole(folder, i));
+    let other = [...parsed.other];
+    const contents = templateRoot.children.map((folder, i) => {
+      if (roles[i] === 'toolbar') return parsed.toolbar;
+      if (roles[i] === 'other' || folder.unmodifiable) return null;
+
+      const exported = other.find(node => node.url === undefined && node.title === folder.title);
+      other = other.filter(node => node !== exported);
+      return exported ? exported.children : [];
+    });
+
+    const root = { ...templateRoot };
+    root.children = templateRoot.children.map((folder, i) => {
+      if (folder.unmodifiable) return folder;
+      return {
+        ...folder,
+        children: (contents[i] || other).map((child, position) => build(child, folder.id, position))
+      };
+    });
+
+    return [root];
+  }
+
+  stripTags(text) {
+    return text.replace(/<[^>]*>/g, '').trim();
+  }
+
+  escape(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  unescape(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        const value = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+        return value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+      }
+      return named[code.toLowerCase()] ?? entity;
+    });
+  }
+}
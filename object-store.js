@@ -0,0 +1,449 @@
+/**
+ * Object Store for Chrome Extension
+ * Stores bookmark trees as content-addressed blob/tree objects, one storage
+ * key per object, so commits share every folder that did not change
+ */
+export default class ObjectStore {
+  constructor() {
+    this.objectPrefix = 'obj_';
+    this.folderMetaName = '.folder.json';
+  }
+
+  key(hash) {
+    return this.objectPrefix + hash;
+  }
+
+  /**
+   * Store a bookmark tree (the array returned by chrome.bookmarks.getTree())
+   * and return the hash of its root tree object. Only objects that are not
+   * already in storage are written.
+   */
+  async writeTree(bookmarkData) {
+    const root = Array.isArray(bookmarkData) ? bookmarkData[0] : bookmarkData;
+    if (!root) {
+      throw new Error('Cannot store an empty bookmark tree');
+    }
+
+    const objects = new Map();
+    const rootHash = await this.serializeFolder(root, objects);
+    const missing = await this.findMissing(rootHash, objects);
+
+    if (missing.length > 0) {
+      await chrome.storage.local.set(
+        Object.fromEntries(missing.map(hash => [this.key(hash), objects.get(hash)]))
+      );
+    }
+
+    return rootHash;
+  }
+
+  // Rebuild the chrome.bookmarks.getTree() shaped array for a root tree hash
+  async readTree(treeHash) {
+    const objects = new Map();
+    let level = [treeHash];
+
+    while (level.length > 0) {
+      const result = await chrome.storage.local.get(level.map(hash => this.key(hash)));
+      const next = new Set();
+
+      for (const hash of level) {
+        const object = result[this.key(hash)];
+        if (!object) {
+          throw new Error(`Missing object ${hash}`);
+        }
+        objects.set(hash, object);
+
+        if (object.type === 'tree') {
+          for (const entry of object.entries) {
+            if (!objects.has(entry.hash)) next.add(entry.hash);
+          }
+        }
+      }
+
+      level = [...next];
+    }
+
+    return [this.buildFolder(treeHash, objects)];
+  }
+
+  async serializeFolder(folder, objects) {
+    const meta = this.createBlob({
+      id: folder.id,
+      title: folder.title || '',
+      dateAdded: folder.dateAdded,
+      dateGroupModified: folder.dateGroupModified,
+      folderType: folder.folderType,
+      unmodifiable: folder.unmodifiable
+    });
+    const entries = [
+      { mode: '100644', name: this.folderMetaName, hash: await this.addObject(meta, objects) }
+    ];
+
+    const children = folder.children || [];
+    const width = Math.max(4, String(children.length).length);
+
+    for (let i = 0; i < children.length; i++) {
+      const child = children[i];
+      const prefix = String(i).padStart(width, '0');
+
+      if (child.url) {
+        const blob = this.createBlob({
+          id: child.id,
+          title: child.title || '',
+          url: child.url,
+          dateAdded: child.dateAdded,
+          unmodifiable: child.unmodifiable
+        });
+        entries.push({
+          mode: '100644',
+          name: `${prefix} ${this.entryName(child)}.json`,
+          hash: await this.addObject(blob, objects)
+        });
+      } else {
+        entries.push({
+          mode: '040000',
+          name: `${prefix} ${this.entryName(child)}`,
+          hash: await this.serializeFolder(child, objects)
+        });
+      }
+    }
+
+    return this.addObject({ type: 'tree', entries }, objects);
+  }
+
+  buildFolder(treeHash, objects, parentId, index) {
+    const tree = objects.get(treeHash);
+    const metaEntry = tree.entries.find(entry => entry.name === this.folderMetaName);
+    const meta = metaEntry ? JSON.parse(objects.get(metaEntry.hash).content) : {};
+
+    const folder = {
+      id: meta.id,
+      ...(parentId !== undefined ? { parentId, index } : {}),
+      ...meta,
+      children: []
+    };
+
+    for (const entry of tree.entries) {
+      if (entry === metaEntry) continue;
+      const childIndex = folder.children.length;
+
+      if (entry.mode === '040000') {
+        folder.children.push(this.buildFolder(entry.hash, objects, folder.id, childIndex));
+      } else {
+        const data = JSON.parse(objects.get(entry.hash).content);
+        folder.children.push({ id: data.id, parentId: folder.id, index: childIndex, ...data });
+      }
+    }
+
+    return folder;
+  }
+
+  /**
+   * Check every object reachable from a root tree against its hash.
+   * Returns the hashes of missing objects and of objects whose content
+   * no longer matches their id.
+   */
+  async verifyTree(treeHash) {
+    const missing = [];
+    const corrupt = [];
+    const seen = new Set([treeHash]);
+    let level = [treeHash];
+
+    while (level.length > 0) {
+      const result = await chrome.storage.local.get(level.map(hash => this.key(hash)));
+      const next = [];
+
+      for (const hash of level) {
+        const object = result[this.key(hash)];
+        if (!object) {
+          missing.push(hash);
+          continue;
+        }
+        if (!(await this.verifyObject(hash, object))) {
+          corrupt.push(hash);
+        }
+
+        for (const entry of object.type === 'tree' ? object.entries : []) {
+          if (!seen.has(entry.hash)) {
+            seen.add(entry.hash);
+            next.push(entry.hash);
+          }
+        }
+      }
+
+      level = next;
+    }
+
+    return { missing, corrupt, checked: seen.size };
+  }
+
+  // Hashes of every object reachable from the given root trees
+  async collectReachable(treeHashes) {
+    const reachable = new Set(treeHashes);
+    let level = [...reachable];
+
+    while (level.length > 0) {
+      const result = await chrome.storage.local.get(level.map(hash => this.key(hash)));
+      const next = [];
+
+      for (const hash of level) {
+        const object = result[this.key(hash)];
+        for (const entry of object?.type === 'tree' ? object.entries : []) {
+          if (!reachable.has(entry.hash)) {
+            reachable.add(entry.hash);
+            next.push(entry.hash);
+          }
+        }
+      }
+
+      level = next;
+    }
+
+    return reachable;
+  }
+
+  // Walk top-down from the root: once a tree is known to be stored, its
+  // whole subtree is too, so only changed paths are checked
+  async findMissing(rootHash, objects) {
+    const missing = [];
+    const seen = new Set();
+    let level = [rootHash];
+
+    while (level.length > 0) {
+      const result = await chrome.storage.local.get(level.map(hash => this.key(hash)));
+      const next = [];
+
+      for (const hash of level) {
+        if (result[this.key(hash)]) continue;
+        missing.push(hash);
+
+        const object = objects.get(hash);
+        if (object.type === 'tree') {
+          for (const entry of object.entries) {
+            if (!seen.has(entry.hash)) {
+              seen.add(entry.hash);
+              next.push(entry.hash);
+            }
+          }
+        }
+      }
+
+      level = next;
+    }
+
+    return missing;
+  }
+
+  createBlob(fields) {
+    return { type: 'blob', content: JSON.stringify(fields, null, 2) + '\n' };
+  }
+
+  async addObject(object, objects) {
+    const hash = await this.hashObject(object);
+    objects.set(hash, object);
+    return hash;
+  }
+
+  // SHA-1 over the canonical git encoding, so ids match what `git hash-object`
+  // would produce for the same content
+  async hashObject(object) {
+    const digest = await crypto.subtle.digest('SHA-1', this.encodeObject(object));
+    return this.toHex(new Uint8Array(digest));
+  }
+
+  async verifyObject(hash, object) {
+    return (await this.hashObject(object)) === hash;
+  }
+
+  // Encode a blob, tree or commit as `<type> <size>\0<body>`
+  encodeObject(object) {
+    const body = this.encodeBody(object);
+    const header = new TextEncoder().encode(`${object.type} ${body.length}\0`);
+    const bytes = new Uint8Array(header.length + body.length);
+    bytes.set(header);
+    bytes.set(body, header.length);
+    return bytes;
+  }
+
+  encodeBody(object) {
+    const encoder = new TextEncoder();
+
+    switch (object.type) {
+      case 'blob':
+        return encoder.encode(object.content);
+
+      case 'tree': {
+        // Entries are already in git order: the folder metadata first, then
+        // children whose names start with a fixed-width index
+        const parts = object.entries.map(entry => {
+          const prefix = encoder.encode(`${entry.mode.replace(/^0+/, '')} ${entry.name}\0`);
+          const part = new Uint8Array(prefix.length + 20);
+          part.set(prefix);
+          part.set(this.fromHex(entry.hash), prefix.length);
+          return part;
+        });
+        return this.concatBytes(parts);
+      }
+
+      case 'commit': {
+        const lines = [`tree ${object.tree}`];
+        for (const parent of object.parents || []) {
+          lines.push(`parent ${parent}`);
+        }
+        lines.push(`author ${this.formatSignature(object.author)}`);
+        lines.push(`committer ${this.formatSignature(object.committer)}`);
+        for (const [key, value] of object.extraHeaders || []) {
+          lines.push(`${key} ${value.replace(/\n/g, '\n ')}`);
+        }
+        return encoder.encode(`${lines.join('\n')}\n\n${object.message}\n`);
+      }
+
+      default:
+        throw new Error(`Unknown object type: ${object.type}`);
+    }
+  }
+
+  // Git stores whole seconds; our own commits are written in UTC
+  formatSignature(signature) {
+    const clean = (value) => String(value || '').replace(/[<>\n]/g, '').trim();
+    const seconds = Math.floor(signature.timestamp / 1000);
+    return `${clean(signature.name)} <${clean(signature.email)}> ${seconds} ${signature.timezone || '+0000'}`;
+  }
+
+  parseSignature(text) {
+    const match = /^(.*?) ?<(.*)> (\d+) ([+-]\d{4})$/.exec(text);
+    if (!match) {
+      throw new Error(`Invalid signature: ${text}`);
+    }
+
+    const signature = { name: match[1], email: match[2], timestamp: Number(match[3]) * 1000 };
+    if (match[4] !== '+0000') signature.timezone = match[4];
+    return signature;
+  }
+
+  // Inverse of encodeBody, for objects received from a git server
+  decodeBody(type, body) {
+    const decoder = new TextDecoder();
+
+    switch (type) {
+      case 'blob':
+        return { type: 'blob', content: decoder.decode(body) };
+
+      case 'tree': {
+        const entries = [];
+        let pos = 0;
+        while (pos < body.length) {
+          const space = body.indexOf(0x20, pos);
+          const nul = body.indexOf(0x00, space);
+          entries.push({
+            mode: decoder.decode(body.subarray(pos, space)).padStart(6, '0'),
+            name: decoder.decode(body.subarray(space + 1, nul)),
+            hash: this.toHex(body.subarray(nul + 1, nul + 21))
+          });
+          pos = nul + 21;
+        }
+        return { type: 'tree', entries };
+      }
+
+      case 'commit': {
+        const text = decoder.decode(body);
+        const split = text.indexOf('\n\n');
+        const headerText = split === -1 ? text : text.substring(0, split);
+        const message = split === -1 ? '' : text.substring(split + 2).replace(/\n$/, '');
+
+        // Continuation lines (e.g. in gpgsig) start with a single space
+        const headers = [];
+        for (const line of headerText.split('\n')) {
+          if (line.startsWith(' ') && headers.length > 0) {
+            headers[headers.length - 1][1] += '\n' + line.substring(1);
+          } else {
+            const space = line.indexOf(' ');
+            headers.push([line.substring(0, space), line.substring(space + 1)]);
+          }
+        }
+
+        const commit = { type: 'commit', parents: [], message };
+        const extraHeaders = [];
+        for (const [key, value] of headers) {
+          if (key === 'tree') commit.tree = value;
+          else if (key === 'parent') commit.parents.push(value);
+          else if (key === 'author') commit.author = this.parseSignature(value);
+          else if (key === 'committer') commit.committer = this.parseSignature(value);
+          else extraHeaders.push([key, value]);
+        }
+        if (extraHeaders.length > 0) commit.extraHeaders = extraHeaders;
+        return commit;
+      }
+
+      default:
+        throw new Error(`Unsupported object type: ${type}`);
+    }
+  }
+
+  concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      bytes.set(part, offset);
+      offset += part.length;
+    }
+    return bytes;
+  }
+
+  toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  fromHex(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  // File-system safe, human readable name for a tree entry
+  entryName(node) {
+    const name = (node.title || '')
+      .replace(/[\u0000-\u001f/\\]/g, '_')
+      .trim()
+      .substring(0, 60);
+    return name || node.id;
+  }
+
+  async getAllObjects() {
+    const everything = await chrome.storage.local.get(null);
+    const objects = {};
+
+    for (const [key, value] of Object.entries(everything)) {
+      if (key.startsWith(this.objectPrefix)) {
+        objects[key.substring(this.objectPrefix.length)] = value;
+      }
+    }
+
+    return objects;
+  }
+
+  async putObjects(objects) {
+    const entries = Object.entries(objects || {});
+    if (entries.length === 0) return;
+
+    await chrome.storage.local.set(
+      Object.fromEntries(entries.map(([hash, object]) => [this.key(hash), object]))
+    );
+  }
+
+  async removeObjects(hashes) {
+    const keys = [...hashes].map(hash => this.key(hash));
+    if (keys.length > 0) {
+      await chrome.storage.local.remove(keys);
+    }
+  }
+
+  async removeAllObjects() {
+    const keys = Object.keys(await this.getAllObjects()).map(hash => this.key(hash));
+    if (keys.length > 0) {
+      await chrome.storage.local.remove(keys);
+    }
+  }
+}
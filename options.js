@@ -4,13 +4,44 @@ class OptionsController {
       authorName: 'Bookmark Git Tracker',
       authorEmail: 'bookmark-tracker@extension.local',
       autoCommit: true,
-      commitDelay: 1
+      commitDelay: 1,
+      remoteUrl: '',
+      remoteUsername: '',
+      remoteToken: '',
+      keepAllDays: 30,
+      keepDailyDays: 90,
+      retentionAutomatic: false
+    };
+
+    // Repair actions offered after an integrity check
+    this.repairs = {
+      refs: {
+        label: 'Fix Branches and HEAD',
+        description: 'Branches, tags and HEAD that point at missing commits are removed or moved to the newest commit.'
+      },
+      relink: {
+        label: 'Re-link Orphaned Commits',
+        description: 'Commits whose parent is missing are attached to the newest earlier commit. Their hashes and those of their descendants change.'
+      },
+      rehash: {
+        label: 'Recompute Commit Hashes',
+        description: 'Commits are renamed to the hash of their current content, and so are their descendants. Branches follow the new hashes; copies pushed to a remote will no longer match.'
+      },
+      stats: {
+        label: 'Recalculate Stats',
+        description: 'Bookmark and folder counts are recalculated from each commit\'s tree.'
+      },
+      prune: {
+        label: 'Prune Dangling Commits',
+        description: 'Commits that no branch or tag reaches, and objects no commit uses, are deleted. This cannot be undone.'
+      }
     };
 
     this.initializeElements();
     this.setupEventListeners();
     this.loadSettings();
     this.loadStats();
+    this.loadExportFormats();
   }
 
   initializeElements() {
@@ -19,6 +50,12 @@ class OptionsController {
     this.authorEmail = document.getElementById('author-email');
     this.autoCommit = document.getElementById('auto-commit');
     this.commitDelay = document.getElementById('commit-delay');
+    this.keepAllDays = document.getElementById('keep-all-days');
+    this.keepDailyDays = document.getElementById('keep-daily-days');
+    this.retentionAutomatic = document.getElementById('retention-automatic');
+    this.remoteUrl = document.getElementById('remote-url');
+    this.remoteUsername = document.getElementById('remote-username');
+    this.remoteToken = document.getElementById('remote-token');
 
     // Stats elements
     this.totalCommits = document.getElementById('total-commits');
@@ -28,18 +65,35 @@ class OptionsController {
 
     // Action buttons
     this.createBackup = document.getElementById('create-backup');
+    this.exportFormat = document.getElementById('export-format');
+    this.exportBundle = document.getElementById('export-bundle');
     this.importBackup = document.getElementById('import-backup');
+    this.importBranchPrefix = document.getElementById('import-branch-prefix');
     this.resetRepo = document.getElementById('reset-repo');
+    this.checkRepo = document.getElementById('check-repo');
+    this.previewRetention = document.getElementById('preview-retention');
+    this.applyRetention = document.getElementById('apply-retention');
+    this.retentionReport = document.getElementById('retention-report');
+    this.repairActions = document.getElementById('repair-actions');
+    this.checkReport = document.getElementById('check-report');
+    this.pushRemote = document.getElementById('push-remote');
+    this.pullRemote = document.getElementById('pull-remote');
+    this.exportHtml = document.getElementById('export-html');
+    this.importHtml = document.getElementById('import-html');
+    this.htmlImportBranch = document.getElementById('html-import-branch');
     this.saveSettings = document.getElementById('save-settings');
     this.resetSettings = document.getElementById('reset-settings');
 
     // Status and modal elements
     this.saveStatus = document.getElementById('save-status');
+    this.syncStatus = document.getElementById('sync-status');
     this.toast = document.getElementById('toast');
     this.importFile = document.getElementById('import-file');
+    this.importHtmlFile = document.getElementById('import-html-file');
     this.confirmationModal = document.getElementById('confirmation-modal');
     this.modalTitle = document.getElementById('modal-title');
     this.modalMessage = document.getElementById('modal-message');
+    this.modalReport = document.getElementById('modal-report');
     this.closeModal = document.getElementById('close-modal');
     this.cancelAction = document.getElementById('cancel-action');
     this.confirmAction = document.getElementById('confirm-action');
@@ -53,16 +107,35 @@ class OptionsController {
     this.authorEmail.addEventListener('input', () => this.onSettingChange());
     this.autoCommit.addEventListener('change', () => this.onSettingChange());
     this.commitDelay.addEventListener('input', () => this.onSettingChange());
+    this.keepAllDays.addEventListener('input', () => this.onSettingChange());
+    this.keepDailyDays.addEventListener('input', () => this.onSettingChange());
+    this.retentionAutomatic.addEventListener('change', () => this.onSettingChange());
+    this.remoteUrl.addEventListener('input', () => this.onSettingChange());
+    this.remoteUsername.addEventListener('input', () => this.onSettingChange());
+    this.remoteToken.addEventListener('input', () => this.onSettingChange());
 
     // Action buttons
     this.createBackup.addEventListener('click', () => this.exportRepository());
+    this.exportBundle.addEventListener('click', () => this.exportGitBundle());
     this.importBackup.addEventListener('click', () => this.showImportDialog());
     this.resetRepo.addEventListener('click', () => this.showResetConfirmation());
+    this.checkRepo.addEventListener('click', () => this.checkRepository());
+    this.previewRetention.addEventListener('click', () => this.showRetentionPreview());
+    this.applyRetention.addEventListener('click', () => this.confirmRetention());
+    this.repairActions.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-repair]');
+      if (button) this.confirmRepair(button.dataset.repair);
+    });
+    this.pushRemote.addEventListener('click', () => this.syncWithRemote('push'));
+    this.pullRemote.addEventListener('click', () => this.syncWithRemote('pull'));
+    this.exportHtml.addEventListener('click', () => this.exportBookmarks('html', this.exportHtml));
+    this.importHtml.addEventListener('click', () => this.importHtmlFile.click());
     this.saveSettings.addEventListener('click', () => this.saveSettings());
     this.resetSettings.addEventListener('click', () => this.resetToDefaults());
 
     // File import
     this.importFile.addEventListener('change', (e) => this.handleFileImport(e));
+    this.importHtmlFile.addEventListener('change', (e) => this.handleHtmlImport(e));
 
     // Modal
     this.closeModal.addEventListener('click', () => this.hideModal());
@@ -87,11 +160,20 @@ class OptionsController {
         this.settings.authorName = gitConfig.user.name || this.settings.authorName;
         this.settings.authorEmail = gitConfig.user.email || this.settings.authorEmail;
       }
+      if (gitConfig.remote) {
+        this.settings.remoteUrl = gitConfig.remote.url || '';
+        this.settings.remoteUsername = gitConfig.remote.username || '';
+        this.settings.remoteToken = gitConfig.remote.token || '';
+      }
 
       // Load extension settings
       const extSettings = result.extension_settings || {};
       this.settings.autoCommit = extSettings.autoCommit ?? this.settings.autoCommit;
       this.settings.commitDelay = extSettings.commitDelay || this.settings.commitDelay;
+      const retention = extSettings.retention || {};
+      this.settings.keepAllDays = retention.keepAllDays || this.settings.keepAllDays;
+      this.settings.keepDailyDays = retention.keepDailyDays || this.settings.keepDailyDays;
+      this.settings.retentionAutomatic = retention.automatic ?? this.settings.retentionAutomatic;
 
       // Update form
       this.updateForm();
@@ -133,6 +215,12 @@ class OptionsController {
     this.authorEmail.value = this.settings.authorEmail;
     this.autoCommit.checked = this.settings.autoCommit;
     this.commitDelay.value = this.settings.commitDelay;
+    this.keepAllDays.value = this.settings.keepAllDays;
+    this.keepDailyDays.value = this.settings.keepDailyDays;
+    this.retentionAutomatic.checked = this.settings.retentionAutomatic;
+    this.remoteUrl.value = this.settings.remoteUrl;
+    this.remoteUsername.value = this.settings.remoteUsername;
+    this.remoteToken.value = this.settings.remoteToken;
   }
 
   onSettingChange() {
@@ -141,6 +229,12 @@ class OptionsController {
     this.settings.authorEmail = this.authorEmail.value;
     this.settings.autoCommit = this.autoCommit.checked;
     this.settings.commitDelay = parseInt(this.commitDelay.value) || 1;
+    this.settings.keepAllDays = parseInt(this.keepAllDays.value) || 30;
+    this.settings.keepDailyDays = parseInt(this.keepDailyDays.value) || 90;
+    this.settings.retentionAutomatic = this.retentionAutomatic.checked;
+    this.settings.remoteUrl = this.remoteUrl.value.trim();
+    this.settings.remoteUsername = this.remoteUsername.value.trim();
+    this.settings.remoteToken = this.remoteToken.value;
 
     // Auto-save after a short delay
     clearTimeout(this.saveTimeout);
@@ -158,13 +252,19 @@ class OptionsController {
         user: {
           name: this.settings.authorName,
           email: this.settings.authorEmail
+        },
+        remote: {
+          url: this.settings.remoteUrl,
+          username: this.settings.remoteUsername,
+          token: this.settings.remoteToken
         }
       };
 
       // Prepare extension settings
       const extensionSettings = {
         autoCommit: this.settings.autoCommit,
-        commitDelay: this.settings.commitDelay
+        commitDelay: this.settings.commitDelay,
+        retention: this.retentionPolicy()
       };
 
       // Save to storage
@@ -188,11 +288,16 @@ class OptionsController {
   }
 
   async resetToDefaults() {
+    // The remote is kept: it is an account setting, not a preference
     this.settings = {
+      ...this.settings,
       authorName: 'Bookmark Git Tracker',
       authorEmail: 'bookmark-tracker@extension.local',
       autoCommit: true,
-      commitDelay: 1
+      commitDelay: 1,
+      keepAllDays: 30,
+      keepDailyDays: 90,
+      retentionAutomatic: false
     };
 
     this.updateForm();
@@ -200,7 +305,23 @@ class OptionsController {
     this.showToast('Settings reset to defaults', 'success');
   }
 
+  // Fill the format picker with what the background exporter offers
+  async loadExportFormats() {
+    const result = await this.sendMessage({ action: 'getExportFormats' });
+    for (const format of result.formats || []) {
+      const option = document.createElement('option');
+      option.value = format.id;
+      option.textContent = format.label;
+      this.exportFormat.appendChild(option);
+    }
+  }
+
   async exportRepository() {
+    if (this.exportFormat.value) {
+      await this.exportBookmarks(this.exportFormat.value, this.createBackup);
+      return;
+    }
+
     try {
       this.createBackup.disabled = true;
       this.createBackup.textContent = 'Exporting...';
@@ -245,6 +366,187 @@ class OptionsController {
     }
   }
 
+  async exportGitBundle() {
+    try {
+      this.exportBundle.disabled = true;
+
+      const result = await this.sendMessage({ action: 'exportBundle' });
+
+      if (result.success) {
+        const binary = atob(result.data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+          bytes[i] = binary.charCodeAt(i);
+        }
+
+        this.downloadFile(
+          new Blob([bytes], { type: 'application/octet-stream' }),
+          `bookmarks-${new Date().toISOString().split('T')[0]}.bundle`
+        );
+        this.showToast('Git bundle exported. Open it with: git clone <file>', 'success');
+      } else {
+        this.showToast(result.error || 'Failed to export git bundle', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error exporting git bundle:', error);
+      this.showToast('Failed to export git bundle', 'error');
+    } finally {
+      this.exportBundle.disabled = false;
+    }
+  }
+
+  // Export the current commit's bookmarks in one of the exporter formats
+  async exportBookmarks(format, button) {
+    try {
+      button.disabled = true;
+
+      const result = await this.sendMessage({ action: 'exportRepository', format });
+
+      if (result.success) {
+        this.downloadFile(new Blob([result.content], { type: result.mimeType }), result.fileName);
+        this.showToast(`Exported ${result.fileName}`, 'success');
+      } else {
+        this.showToast(result.error || 'Failed to export bookmarks', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error exporting bookmarks:', error);
+      this.showToast('Failed to export bookmarks', 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async handleHtmlImport(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Reset file input so the same file can be picked again
+    event.target.value = '';
+
+    try {
+      const html = await file.text();
+      const branch = this.htmlImportBranch.value.trim();
+
+      if (branch) {
+        await this.importBookmarksHtml(html, file.name, branch);
+        return;
+      }
+
+      this.showModal(
+        'Import bookmarks.html',
+        `This will replace your current bookmarks with the contents of ${file.name}. The change is committed, so you can restore the previous state from the history. Continue?`,
+        () => this.importBookmarksHtml(html, file.name, null)
+      );
+
+    } catch (error) {
+      console.error('Error reading bookmarks file:', error);
+      this.showToast('Failed to read bookmarks file', 'error');
+    }
+  }
+
+  async importBookmarksHtml(html, fileName, branch) {
+    try {
+      this.importHtml.disabled = true;
+
+      const result = await this.sendMessage({ action: 'importBookmarksHtml', html, fileName, branch });
+
+      if (result.success) {
+        const where = result.branch ? `onto branch '${result.branch}'` : 'into your bookmarks';
+        this.showToast(`Imported ${result.bookmarks} bookmarks ${where}`, 'success');
+        this.htmlImportBranch.value = '';
+        this.loadStats();
+      } else {
+        this.showToast(result.error || 'Failed to import bookmarks.html', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error importing bookmarks.html:', error);
+      this.showToast('Failed to import bookmarks.html', 'error');
+    } finally {
+      this.importHtml.disabled = false;
+    }
+  }
+
+  downloadFile(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+
+    URL.revokeObjectURL(url);
+  }
+
+  async syncWithRemote(direction) {
+    const button = direction === 'push' ? this.pushRemote : this.pullRemote;
+
+    try {
+      if (!this.settings.remoteUrl) {
+        this.showToast('Enter a repository URL first', 'error');
+        return;
+      }
+
+      // Host access is requested per remote, and only from a user gesture
+      const origin = new URL(this.settings.remoteUrl).origin;
+      const granted = await chrome.permissions.request({ origins: [`${origin}/*`] });
+      if (!granted) {
+        this.showToast(`Access to ${origin} is needed to sync`, 'error');
+        return;
+      }
+
+      button.disabled = true;
+      clearTimeout(this.saveTimeout);
+      await this.saveSettingsToStorage();
+      this.syncStatus.textContent = direction === 'push' ? 'Pushing...' : 'Pulling...';
+
+      const result = await this.sendMessage({
+        action: direction === 'push' ? 'pushToRemote' : 'pullFromRemote'
+      });
+
+      if (result.success) {
+        const short = (result.hash || '').substring(0, 8);
+        let message;
+        if (direction === 'push') {
+          message = result.upToDate
+            ? `Remote '${result.branch}' is already up to date`
+            : `Pushed '${result.branch}' (${short}, ${result.objects} objects)`;
+        } else if (result.status === 'conflicts') {
+          this.syncStatus.textContent = 'Local and remote changes conflict - resolve them in the merge tab';
+          chrome.tabs.create({
+            url: chrome.runtime.getURL(
+              `merge.html?hash=${encodeURIComponent(result.theirs)}&label=${encodeURIComponent(result.label)}`
+            )
+          });
+          return;
+        } else {
+          message = {
+            upToDate: `'${result.branch}' is already up to date`,
+            fastForward: `Fast-forwarded '${result.branch}' to ${short}`,
+            merge: `Merged remote changes into '${result.branch}' (${short})`
+          }[result.status];
+        }
+        this.syncStatus.textContent = `${message} - ${new Date().toLocaleTimeString()}`;
+        this.showToast(message, 'success');
+        this.loadStats();
+      } else {
+        this.syncStatus.textContent = result.error || `${direction} failed`;
+        this.showToast(result.error || `Failed to ${direction}`, 'error');
+      }
+
+    } catch (error) {
+      console.error(`Error during ${direction}:`, error);
+      this.syncStatus.textContent = error.message;
+      this.showToast(`Failed to ${direction}`, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
   showImportDialog() {
     this.importFile.click();
   }
@@ -257,18 +559,31 @@ class OptionsController {
       const text = await file.text();
       const data = JSON.parse(text);
       
-      // Validate the backup data
-      if (!this.validateBackupData(data)) {
-        this.showToast('Invalid backup file format', 'error');
+      // Dry run first so the report is shown before anything is replaced
+      const result = await this.sendMessage({ action: 'validateBackup', data });
+      if (!result.success) {
+        this.showToast(result.error || 'Failed to check backup file', 'error');
         return;
       }
 
-      // Show confirmation
-      this.showModal(
-        'Import Repository',
-        'This will replace your current repository. All existing commits will be lost. Are you sure?',
-        () => this.importRepository(data)
-      );
+      const { report } = result;
+      const prefix = this.importBranchPrefix.value.trim();
+      if (!report.valid) {
+        this.showModal('Import Repository', 'This backup has problems and cannot be imported.', null);
+      } else if (prefix) {
+        this.showModal(
+          'Merge Backup',
+          `The backup's branches will be added as ${prefix}/<branch>. Your current history and bookmarks stay as they are.`,
+          () => this.mergeBackup(data, prefix)
+        );
+      } else {
+        this.showModal(
+          'Import Repository',
+          'This will replace your current repository. All existing commits will be lost. Are you sure?',
+          () => this.importRepository(data)
+        );
+      }
+      this.showBackupReport(report);
 
     } catch (error) {
       console.error('Error reading backup file:', error);
@@ -279,12 +594,42 @@ class OptionsController {
     event.target.value = '';
   }
 
-  validateBackupData(data) {
-    return data &&
-           typeof data === 'object' &&
-           data.repository &&
-           data.commits &&
-           data.version;
+  // Summary of a validateBackup dry run: contents, migrations and problems
+  showBackupReport(report) {
+    const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString();
+    const facts = [
+      `Backup version ${report.version}`,
+      `${report.commits} commits on ${report.branches.length} branches (${report.branches.join(', ') || 'none'})`
+    ];
+    if (report.firstCommit) {
+      facts.push(`From ${formatDate(report.firstCommit)} to ${formatDate(report.lastCommit)}`);
+    }
+    if (report.migrations.length > 0) {
+      facts.push(`Will be upgraded: ${report.migrations.join(', ')}`);
+    }
+
+    const list = (items, className) => {
+      const ul = document.createElement('ul');
+      ul.className = className;
+      for (const item of items) {
+        const li = document.createElement('li');
+        if (typeof item === 'string') {
+          li.textContent = item;
+        } else {
+          li.className = `problem-${item.severity}`;
+          li.textContent = item.commit ? `${item.commit}: ${item.message}` : item.message;
+        }
+        ul.appendChild(li);
+      }
+      return ul;
+    };
+
+    this.modalReport.replaceChildren(list(facts, 'report-facts'));
+    if (report.problems.length > 0) {
+      const more = report.truncated > 0 ? [`…and ${report.truncated} more`] : [];
+      this.modalReport.appendChild(list([...report.problems, ...more], 'report-problems'));
+    }
+    this.modalReport.hidden = false;
   }
 
   async importRepository(data) {
@@ -307,6 +652,177 @@ class OptionsController {
     }
   }
 
+  async mergeBackup(data, prefix) {
+    try {
+      const result = await this.sendMessage({ action: 'mergeBackup', data, prefix });
+
+      if (result.success) {
+        const { newCommits, existingCommits, branches } = result.summary;
+        const names = branches.map(branch => branch.name).join(', ');
+        this.showToast(
+          branches.length > 0
+            ? `${newCommits} new commits (${existingCommits} already present) on ${names}`
+            : `Nothing new: all ${existingCommits} commits are already in your history`,
+          'success'
+        );
+        this.importBranchPrefix.value = '';
+        this.loadStats(); // Refresh stats
+      } else {
+        this.showToast(result.error || 'Failed to merge backup', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error merging backup:', error);
+      this.showToast('Failed to merge backup', 'error');
+    }
+  }
+
+  async checkRepository() {
+    this.checkRepo.disabled = true;
+    try {
+      const result = await this.sendMessage({ action: 'checkRepository' });
+
+      if (result.success) {
+        this.showCheckReport(result.report);
+      } else {
+        this.showToast(result.error || 'Failed to check repository', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error checking repository:', error);
+      this.showToast('Failed to check repository', 'error');
+    } finally {
+      this.checkRepo.disabled = false;
+    }
+  }
+
+  showCheckReport(report) {
+    const summary = document.createElement('div');
+    summary.textContent = report.problems.length > 0
+      ? `Checked ${report.commits} commits and ${report.objects} objects: ${report.problems.length} problems found`
+      : `Checked ${report.commits} commits and ${report.objects} objects: no problems found`;
+    this.checkReport.replaceChildren(summary);
+
+    if (report.problems.length > 0) {
+      const list = document.createElement('ul');
+      for (const problem of report.problems) {
+        const item = document.createElement('li');
+        item.className = `problem-${problem.severity}`;
+        item.textContent = problem.commit ? `${problem.commit}: ${problem.message}` : problem.message;
+        list.appendChild(item);
+      }
+      this.checkReport.appendChild(list);
+    }
+    this.checkReport.hidden = false;
+
+    // One button per repair that applies, after the check button
+    this.repairActions.querySelectorAll('[data-repair]').forEach(button => button.remove());
+    for (const [repair, count] of Object.entries(report.repairs)) {
+      const button = document.createElement('button');
+      button.className = 'btn btn-secondary';
+      button.dataset.repair = repair;
+      button.textContent = `${this.repairs[repair].label} (${count})`;
+      this.repairActions.appendChild(button);
+    }
+  }
+
+  confirmRepair(repair) {
+    const { label, description } = this.repairs[repair];
+    this.showModal(label, description, () => this.repairRepository(repair));
+  }
+
+  async repairRepository(repair) {
+    try {
+      const result = await this.sendMessage({ action: 'repairRepository', repairs: [repair] });
+
+      if (result.success) {
+        const count = Object.values(result.repaired).reduce((sum, value) => sum + value, 0);
+        this.showToast(`Repaired ${count} items`, 'success');
+        this.showCheckReport(result.report);
+        this.loadStats(); // Refresh stats
+      } else {
+        this.showToast(result.error || 'Failed to repair repository', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error repairing repository:', error);
+      this.showToast('Failed to repair repository', 'error');
+    }
+  }
+
+  retentionPolicy() {
+    return {
+      keepAllDays: this.settings.keepAllDays,
+      keepDailyDays: this.settings.keepDailyDays,
+      automatic: this.settings.retentionAutomatic
+    };
+  }
+
+  async showRetentionPreview() {
+    try {
+      const result = await this.sendMessage({ action: 'previewRetention', policy: this.retentionPolicy() });
+
+      if (result.success) {
+        this.retentionReport.textContent = this.describeRetention(result.preview, 'would');
+        this.retentionReport.hidden = false;
+      } else {
+        this.showToast(result.error || 'Failed to preview retention', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error previewing retention:', error);
+      this.showToast('Failed to preview retention', 'error');
+    }
+  }
+
+  // Show what compaction will do in the confirmation itself
+  async confirmRetention() {
+    const result = await this.sendMessage({ action: 'previewRetention', policy: this.retentionPolicy() });
+    if (!result.success) {
+      this.showToast(result.error || 'Failed to preview retention', 'error');
+      return;
+    }
+
+    this.showModal(
+      'Compact History',
+      `${this.describeRetention(result.preview, 'will')} Squashed commits get new hashes. This cannot be undone.`,
+      () => this.runRetention()
+    );
+  }
+
+  async runRetention() {
+    try {
+      const result = await this.sendMessage({ action: 'applyRetention', policy: this.retentionPolicy() });
+
+      if (result.success) {
+        this.showToast(`History compacted, ${this.formatBytes(result.result.reclaimed)} freed`, 'success');
+        this.retentionReport.hidden = true;
+        this.loadStats(); // Refresh stats
+      } else {
+        this.showToast(result.error || 'Failed to compact history', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error compacting history:', error);
+      this.showToast('Failed to compact history', 'error');
+    }
+  }
+
+  describeRetention(summary, verb) {
+    if (summary.commitsBefore === summary.commitsAfter && summary.reclaimed === 0) {
+      return `Nothing to compact: all ${summary.commitsBefore} commits are kept under this policy.`;
+    }
+    return `${summary.commitsBefore} commits ${verb} become ${summary.commitsAfter} ` +
+      `(${summary.squashed} summary commits), and ${summary.objectsRemoved} unused objects ${verb} be deleted. ` +
+      `This ${verb === 'will' ? 'frees' : 'would free'} ${this.formatBytes(summary.reclaimed)} of ${this.formatBytes(summary.bytesBefore)}.`;
+  }
+
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} bytes`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
   showResetConfirmation() {
     this.showModal(
       'Reset Repository',
@@ -336,12 +852,15 @@ class OptionsController {
     this.modalTitle.textContent = title;
     this.modalMessage.textContent = message;
     this.pendingAction = action;
+    this.confirmAction.disabled = !action;
     this.confirmationModal.style.display = 'flex';
   }
 
   hideModal() {
     this.confirmationModal.style.display = 'none';
     this.pendingAction = null;
+    this.modalReport.hidden = true;
+    this.modalReport.replaceChildren();
   }
 
   executeAction() {
@@ -2,7 +2,18 @@ class PopupController {
   constructor() {
     this.currentTab = 'history';
     this.commitHistory = [];
+    this.branches = [];
+    this.workingTree = null;
+    this.changeLabels = {
+      added: 'Added',
+      removed: 'Removed',
+      moved: 'Moved',
+      renamed: 'Renamed',
+      urlChanged: 'URL',
+      reordered: 'Reordered'
+    };
     this.filteredHistory = [];
+    this.maxBookmarkResults = 20;
     this.repoStats = null;
     
     this.initializeElements();
@@ -23,16 +34,32 @@ class PopupController {
 
     // Tabs
     this.historyTab = document.getElementById('history-tab');
+    this.changesTab = document.getElementById('changes-tab');
+    this.branchesTab = document.getElementById('branches-tab');
     this.statsTab = document.getElementById('stats-tab');
 
     // Panels
     this.historyPanel = document.getElementById('history-panel');
+    this.changesPanel = document.getElementById('changes-panel');
+    this.branchesPanel = document.getElementById('branches-panel');
     this.statsPanel = document.getElementById('stats-panel');
 
     // History elements
     this.searchInput = document.getElementById('search-input');
+    this.bookmarkResults = document.getElementById('bookmark-results');
     this.commitList = document.getElementById('commit-list');
 
+    // Working tree elements
+    this.workingMessage = document.getElementById('working-message');
+    this.commitWorkingBtn = document.getElementById('commit-working-btn');
+    this.workingSummary = document.getElementById('working-summary');
+    this.workingList = document.getElementById('working-list');
+
+    // Branch elements
+    this.branchName = document.getElementById('branch-name');
+    this.createBranchBtn = document.getElementById('create-branch-btn');
+    this.branchList = document.getElementById('branch-list');
+
     // Stats elements
     this.totalCommits = document.getElementById('total-commits');
     this.totalBookmarks = document.getElementById('total-bookmarks');
@@ -61,10 +88,75 @@ class PopupController {
 
     // Tabs
     this.historyTab.addEventListener('click', () => this.switchTab('history'));
+    this.changesTab.addEventListener('click', () => this.switchTab('changes'));
+    this.branchesTab.addEventListener('click', () => this.switchTab('branches'));
     this.statsTab.addEventListener('click', () => this.switchTab('stats'));
 
     // Search
-    this.searchInput.addEventListener('input', () => this.filterCommits());
+    this.searchInput.addEventListener('input', () => {
+      this.filterCommits();
+      this.searchBookmarks();
+    });
+
+    this.bookmarkResults.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'history') {
+        this.viewBookmarkHistory(button.dataset.id);
+      } else if (button.dataset.action === 'view') {
+        this.viewCommit(button.dataset.hash);
+      } else if (button.dataset.action === 'restore-bookmark') {
+        this.restoreBookmark(button.dataset.hash, button.dataset.id, button.dataset.title);
+      }
+    });
+
+    // Commit actions (inline handlers are blocked by the extension CSP)
+    this.commitList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'view') {
+        this.viewCommit(button.dataset.hash);
+      } else if (button.dataset.action === 'restore') {
+        this.restoreCommit(button.dataset.hash);
+      } else if (button.dataset.action === 'revert') {
+        this.revertCommit(button.dataset.hash);
+      } else if (button.dataset.action === 'browse') {
+        this.browseCommit(button.dataset.hash);
+      }
+    });
+
+    // Working tree
+    this.commitWorkingBtn.addEventListener('click', () => this.commitWorkingTree());
+    this.workingMessage.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.commitWorkingTree();
+      }
+    });
+
+    // Branches
+    this.createBranchBtn.addEventListener('click', () => this.createBranch());
+    this.branchName.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        this.createBranch();
+      }
+    });
+
+    this.branchList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'checkout') {
+        this.checkoutBranch(button.dataset.branch);
+      } else if (button.dataset.action === 'merge') {
+        this.mergeBranch(button.dataset.branch);
+      } else if (button.dataset.action === 'rename') {
+        this.renameBranch(button.dataset.branch);
+      } else if (button.dataset.action === 'delete') {
+        this.deleteBranch(button.dataset.branch);
+      }
+    });
 
     // Modal
     this.closeModal.addEventListener('click', () => this.hideSnapshotModal());
@@ -91,19 +183,25 @@ class PopupController {
       this.setStatus('loading', 'Loading...');
       
       // Load status and commit history in parallel
-      const [status, history, stats] = await Promise.all([
+      const [status, history, stats, branches, workingTree] = await Promise.all([
         this.sendMessage({ action: 'getStatus' }),
         this.sendMessage({ action: 'getCommitHistory', limit: 50 }),
-        this.getRepoStats()
+        this.getRepoStats(),
+        this.sendMessage({ action: 'getBranches' }),
+        this.sendMessage({ action: 'getWorkingTree' })
       ]);
 
       if (status.initialized) {
-        this.setStatus('active', 'Active');
+        this.setStatus('active', status.autoCommit === false ? 'Active (manual commits)' : 'Active');
         this.commitHistory = Array.isArray(history) ? history : [];
         this.repoStats = stats;
+        this.branches = branches.success ? branches.branches : [];
+        this.workingTree = workingTree.success ? workingTree : null;
         
         this.updateCommitCount();
         this.renderCommitHistory();
+        this.renderBranches();
+        this.renderWorkingTree();
         this.updateStatsPanel();
       } else {
         this.setStatus('error', 'Not initialized');
@@ -172,10 +270,14 @@ class PopupController {
     
     // Update tab buttons
     this.historyTab.classList.toggle('active', tab === 'history');
+    this.changesTab.classList.toggle('active', tab === 'changes');
+    this.branchesTab.classList.toggle('active', tab === 'branches');
     this.statsTab.classList.toggle('active', tab === 'stats');
     
     // Update panels
     this.historyPanel.classList.toggle('active', tab === 'history');
+    this.changesPanel.classList.toggle('active', tab === 'changes');
+    this.branchesPanel.classList.toggle('active', tab === 'branches');
     this.statsPanel.classList.toggle('active', tab === 'stats');
   }
 
@@ -195,6 +297,71 @@ class PopupController {
     this.renderCommitHistory();
   }
 
+  // Bookmarks matching the search anywhere in history, then live folders
+  // and bookmarks no commit has seen yet
+  async searchBookmarks() {
+    const query = this.searchInput.value.trim();
+
+    if (query.length < 2) {
+      this.bookmarkResults.hidden = true;
+      this.bookmarkResults.innerHTML = '';
+      return;
+    }
+
+    try {
+      const [history, live] = await Promise.all([
+        this.sendMessage({ action: 'searchHistory', query }),
+        chrome.bookmarks.search(query)
+      ]);
+
+      // A newer keystroke may have started another search meanwhile
+      if (query !== this.searchInput.value.trim()) return;
+
+      const results = history.success ? history.results : [];
+      const shown = new Set(results.map(result => result.id));
+      const extra = live
+        .filter(node => !shown.has(node.id))
+        .map(node => ({ id: node.id, url: node.url, title: node.title, first: null, last: null, live: true }));
+      const all = [...results, ...extra].slice(0, this.maxBookmarkResults);
+
+      this.bookmarkResults.hidden = all.length === 0;
+      this.bookmarkResults.innerHTML = all.map(result => this.renderBookmarkResult(result)).join('');
+    } catch (error) {
+      console.error('Error searching bookmarks:', error);
+    }
+  }
+
+  renderBookmarkResult(result) {
+    const title = result.title || result.url || 'Untitled folder';
+    const seen = result.first
+      ? `
+        <span>First <button class="btn-link" data-action="view" data-hash="${result.first.hash}">${result.first.hash.substring(0, 8)}</button></span>
+        <span>Last <button class="btn-link" data-action="view" data-hash="${result.last.hash}">${result.last.hash.substring(0, 8)}</button></span>
+      `
+      : '<span>Not committed yet</span>';
+
+    return `
+      <div class="bookmark-result ${result.live ? '' : 'removed'}">
+        <div class="bookmark-result-text">
+          <span class="bookmark-result-title">${this.escapeHtml(title)}</span>
+          ${result.url ? `<span class="bookmark-result-url">${this.escapeHtml(result.url)}</span>` : ''}
+          <span class="bookmark-result-meta">
+            ${result.live ? '' : '<span class="removed-badge">Removed</span>'}
+            ${seen}
+          </span>
+        </div>
+        <button class="btn-link" data-action="history" data-id="${this.escapeHtml(result.id)}">
+          History
+        </button>
+        ${result.live ? '' : `
+          <button class="btn-link" data-action="restore-bookmark" data-hash="${result.last.hash}" data-id="${this.escapeHtml(result.id)}" data-title="${this.escapeHtml(title)}">
+            Restore
+          </button>
+        `}
+      </div>
+    `;
+  }
+
   renderCommitHistory() {
     const commits = this.filteredHistory.length > 0 ? this.filteredHistory : this.commitHistory;
     
@@ -225,7 +392,8 @@ class PopupController {
           </div>
           <div class="commit-content">
             <div class="commit-header">
-              <h4 class="commit-message">${this.escapeHtml(commit.message)}</h4>
+              <h4 class="commit-message">${this.escapeHtml(commit.message.split('\n')[0])}</h4>
+              ${(commit.tags || []).map(tag => `<span class="tag-badge">${this.escapeHtml(tag)}</span>`).join('')}
               <span class="commit-hash">${commit.shortHash}</span>
             </div>
             <div class="commit-meta">
@@ -238,12 +406,20 @@ class PopupController {
               ` : ''}
             </div>
             <div class="commit-actions">
-              <button class="btn-link" onclick="popupController.viewCommit('${commit.hash}')">
+              <button class="btn-link" data-action="view" data-hash="${commit.hash}">
                 View
               </button>
-              <button class="btn-link" onclick="popupController.restoreCommit('${commit.hash}')">
+              <button class="btn-link" data-action="browse" data-hash="${commit.hash}" title="Browse the bookmarks as they were then">
+                Browse
+              </button>
+              <button class="btn-link" data-action="restore" data-hash="${commit.hash}">
                 Restore
               </button>
+              ${commit.parents.length > 0 ? `
+                <button class="btn-link" data-action="revert" data-hash="${commit.hash}" title="Undo only this commit's changes">
+                  Revert
+                </button>
+              ` : ''}
             </div>
           </div>
         </div>
@@ -272,7 +448,253 @@ class PopupController {
       this.repoCreated.textContent = 'Unknown';
     }
 
-    this.currentBranch.textContent = 'main';
+    const current = this.branches.find(branch => branch.current);
+    this.currentBranch.textContent = current ? current.name : 'main';
+  }
+
+  renderWorkingTree() {
+    const changes = this.workingTree ? this.workingTree.diff.changes : [];
+
+    this.changesTab.textContent = changes.length > 0 ? `Changes (${changes.length})` : 'Changes';
+    this.commitWorkingBtn.disabled = changes.length === 0;
+
+    if (!this.workingTree) {
+      this.workingSummary.textContent = 'Unable to compare with the last commit';
+      this.workingList.innerHTML = '';
+      return;
+    }
+
+    this.workingSummary.textContent = this.workingTree.autoCommit
+      ? `Auto-commit is on; changes are committed to '${this.workingTree.branch}' automatically.`
+      : `Auto-commit is off; changes are staged until you commit them to '${this.workingTree.branch}'.`;
+
+    if (changes.length === 0) {
+      this.workingList.innerHTML = `
+        <div class="empty-state">
+          <h3>Working tree clean</h3>
+          <p>Your bookmarks match the last commit.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.workingList.innerHTML = changes.map(change => {
+      const path = change.path && change.path.length > 0 ? change.path.join(' › ') : '(root)';
+      return `
+        <div class="working-item working-${change.type}">
+          <span class="working-badge">${this.changeLabels[change.type]}</span>
+          <div class="working-content">
+            <div>${this.escapeHtml(change.title || change.url || 'Untitled')}</div>
+            <div class="working-path">${this.escapeHtml(path)}</div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async commitWorkingTree() {
+    if (this.commitWorkingBtn.disabled) return;
+
+    try {
+      this.commitWorkingBtn.disabled = true;
+
+      const result = await this.sendMessage({
+        action: 'commitWorkingTree',
+        message: this.workingMessage.value.trim()
+      });
+
+      if (result.success) {
+        this.workingMessage.value = '';
+        this.showToast('Changes committed', 'success');
+        this.loadData();
+      } else {
+        this.showToast(result.error || 'Failed to commit changes', 'error');
+        this.commitWorkingBtn.disabled = false;
+      }
+
+    } catch (error) {
+      console.error('Error committing changes:', error);
+      this.showToast('Failed to commit changes', 'error');
+      this.commitWorkingBtn.disabled = false;
+    }
+  }
+
+  renderBranches() {
+    if (this.branches.length === 0) {
+      this.branchList.innerHTML = `
+        <div class="empty-state">
+          <h3>No branches yet</h3>
+          <p>Branches appear once the first snapshot exists.</p>
+        </div>
+      `;
+      return;
+    }
+
+    this.branchList.innerHTML = this.branches.map(branch => {
+      const name = this.escapeHtml(branch.name);
+      const date = branch.date ? new Date(branch.date) : null;
+
+      return `
+        <div class="commit-item ${branch.current ? 'latest' : ''}">
+          <div class="commit-marker">
+            <div class="commit-dot"></div>
+          </div>
+          <div class="commit-content">
+            <div class="commit-header">
+              <h4 class="commit-message">${name}</h4>
+              ${branch.current
+                ? '<span class="branch-badge">current</span>'
+                : `<span class="commit-hash">${branch.hash ? branch.hash.substring(0, 8) : 'empty'}</span>`}
+            </div>
+            <div class="commit-meta">
+              <span class="commit-author">${this.escapeHtml(branch.message ? branch.message.split('\n')[0] : 'No commits')}</span>
+              ${date ? `<span class="commit-time" title="${date.toLocaleString()}">${this.getRelativeTime(date)}</span>` : ''}
+            </div>
+            <div class="commit-actions">
+              ${branch.current ? '' : `
+                <button class="btn-link" data-action="checkout" data-branch="${name}">Switch</button>
+                <button class="btn-link" data-action="merge" data-branch="${name}">Merge into current</button>
+              `}
+              <button class="btn-link" data-action="rename" data-branch="${name}">Rename</button>
+              ${branch.current ? '' : `
+                <button class="btn-link" data-action="delete" data-branch="${name}">Delete</button>
+              `}
+            </div>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  async createBranch() {
+    const name = this.branchName.value.trim();
+
+    if (!name) {
+      this.showToast('Please enter a branch name', 'error');
+      return;
+    }
+
+    try {
+      this.createBranchBtn.disabled = true;
+
+      const result = await this.sendMessage({ action: 'createBranch', name, checkout: true });
+
+      if (result.success) {
+        this.branchName.value = '';
+        this.showToast(`Switched to new branch '${name}'`, 'success');
+        this.loadData();
+      } else {
+        this.showToast(result.error || 'Failed to create branch', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error creating branch:', error);
+      this.showToast('Failed to create branch', 'error');
+    } finally {
+      this.createBranchBtn.disabled = false;
+    }
+  }
+
+  async checkoutBranch(name) {
+    if (!confirm(`Switch to '${name}'? Your bookmarks will be replaced with that branch's bookmarks. The current ones stay saved on the branch you are leaving.`)) {
+      return;
+    }
+
+    try {
+      this.showToast(`Switching to '${name}'...`, 'info');
+
+      const result = await this.sendMessage({ action: 'checkoutBranch', name });
+
+      if (result.success) {
+        this.showToast(`Switched to '${name}'`, 'success');
+        this.loadData();
+      } else {
+        this.showToast(result.error || 'Failed to switch branch', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error switching branch:', error);
+      this.showToast('Failed to switch branch', 'error');
+    }
+  }
+
+  async mergeBranch(name) {
+    if (!confirm(`Merge '${name}' into '${this.currentBranch.textContent}'? Your bookmarks will be updated with that branch's changes. If any of them conflict, you can resolve them before anything is changed.`)) {
+      return;
+    }
+
+    try {
+      this.showToast(`Merging '${name}'...`, 'info');
+
+      const result = await this.sendMessage({ action: 'mergeBranch', name });
+
+      if (!result.success) {
+        this.showToast(result.error || 'Failed to merge branch', 'error');
+      } else if (result.status === 'conflicts') {
+        // Conflicts need more room than the popup has
+        chrome.tabs.create({
+          url: chrome.runtime.getURL(
+            `merge.html?hash=${encodeURIComponent(result.theirs)}&label=${encodeURIComponent(`branch '${name}'`)}`
+          )
+        });
+      } else if (result.status === 'upToDate') {
+        this.showToast(`Already up to date with '${name}'`, 'info');
+      } else {
+        this.showToast(result.status === 'fastForward' ? `Fast-forwarded to '${name}'` : `Merged '${name}'`, 'success');
+        this.loadData();
+      }
+
+    } catch (error) {
+      console.error('Error merging branch:', error);
+      this.showToast('Failed to merge branch', 'error');
+    }
+  }
+
+  async renameBranch(name) {
+    const newName = (prompt(`Rename branch '${name}' to:`, name) || '').trim();
+    if (!newName || newName === name) return;
+
+    try {
+      const result = await this.sendMessage({ action: 'renameBranch', oldName: name, newName });
+
+      if (result.success) {
+        this.showToast(`Renamed '${name}' to '${newName}'`, 'success');
+        this.loadData();
+      } else {
+        this.showToast(result.error || 'Failed to rename branch', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error renaming branch:', error);
+      this.showToast('Failed to rename branch', 'error');
+    }
+  }
+
+  async deleteBranch(name) {
+    if (!confirm(`Delete branch '${name}'?`)) {
+      return;
+    }
+
+    try {
+      let result = await this.sendMessage({ action: 'deleteBranch', name });
+
+      // Offer to force-delete when the branch holds the only copy of some commits
+      if (!result.success && /not on any other branch/.test(result.error || '') &&
+          confirm(`'${name}' has commits that exist on no other branch. Delete it anyway?`)) {
+        result = await this.sendMessage({ action: 'deleteBranch', name, force: true });
+      }
+
+      if (result.success) {
+        this.showToast(`Deleted branch '${name}'`, 'success');
+        this.loadData();
+      } else {
+        this.showToast(result.error || 'Failed to delete branch', 'error');
+      }
+
+    } catch (error) {
+      console.error('Error deleting branch:', error);
+      this.showToast('Failed to delete branch', 'error');
+    }
   }
 
   showSnapshotModal() {
@@ -319,40 +741,99 @@ class PopupController {
     }
   }
 
-  async viewCommit(hash) {
+  viewCommit(hash) {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`commit.html?hash=${encodeURIComponent(hash)}`)
+    });
+  }
+
+  browseCommit(hash) {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`timetravel.html?hash=${encodeURIComponent(hash)}`)
+    });
+  }
+
+  viewBookmarkHistory(id) {
+    chrome.tabs.create({
+      url: chrome.runtime.getURL(`bookmark.html?id=${encodeURIComponent(id)}`)
+    });
+  }
+
+  // Put a removed bookmark back where it was in the last commit it was in
+  async restoreBookmark(hash, id, title) {
+    if (!confirm(`Restore "${title}" to where it was in commit ${hash.substring(0, 8)}?`)) {
+      return;
+    }
+
+    try {
+      const result = await this.sendMessage({ action: 'restoreNode', commitHash: hash, nodeId: id });
+
+      if (result.success) {
+        this.showToast(`Restored "${title}"`, 'success');
+        await this.loadData();
+        this.searchBookmarks();
+      } else {
+        this.showToast(result.error || 'Failed to restore bookmark', 'error');
+      }
+    } catch (error) {
+      console.error('Error restoring bookmark:', error);
+      this.showToast('Failed to restore bookmark', 'error');
+    }
+  }
+
+  async restoreCommit(hash) {
+    if (!confirm('Are you sure you want to restore this bookmark state? Your current bookmarks will be replaced, but the restore is recorded as a new commit and can be undone.')) {
+      return;
+    }
+
     try {
+      this.showToast('Restoring bookmarks...', 'info');
+
       const result = await this.sendMessage({
         action: 'restoreFromCommit',
         commitHash: hash
       });
 
-      if (result.success && result.data) {
-        // For now, just show the data in a new tab
-        const dataStr = JSON.stringify(result.data, null, 2);
-        const blob = new Blob([dataStr], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        // Open in new tab
-        chrome.tabs.create({ url: url });
-        
-        this.showToast('Commit data opened in new tab', 'success');
+      if (result.success) {
+        const { created, updated, moved, removed } = result.summary;
+        this.showToast(`Bookmarks restored (${created} added, ${removed} removed, ${moved} moved, ${updated} updated)`, 'success');
+        this.loadData(); // Refresh the data
       } else {
-        this.showToast('Failed to load commit data', 'error');
+        this.showToast(result.error || 'Failed to restore bookmarks', 'error');
       }
 
     } catch (error) {
-      console.error('Error viewing commit:', error);
-      this.showToast('Failed to view commit', 'error');
+      console.error('Error restoring commit:', error);
+      this.showToast('Failed to restore bookmarks', 'error');
     }
   }
 
-  async restoreCommit(hash) {
-    if (!confirm('Are you sure you want to restore this bookmark state? This will replace all current bookmarks.')) {
+  async revertCommit(hash) {
+    if (!confirm('Undo the changes made by this commit? Later changes are kept, and the revert is recorded as a new commit.')) {
       return;
     }
 
-    this.showToast('Bookmark restoration is not yet implemented', 'warning');
-    // TODO: Implement bookmark restoration
+    try {
+      const result = await this.sendMessage({ action: 'revertCommit', commitHash: hash });
+
+      if (!result.success) {
+        this.showToast(result.error || 'Failed to revert commit', 'error');
+      } else if (result.status === 'upToDate') {
+        this.showToast(result.conflicts.length > 0
+          ? `Nothing reverted: ${result.conflicts.length} items changed again since`
+          : 'Nothing to revert: these changes are already undone', 'warning');
+      } else if (result.conflicts.length > 0) {
+        this.showToast(`Commit reverted, except ${result.conflicts.length} items changed again since (listed in the revert commit)`, 'warning');
+        this.loadData();
+      } else {
+        this.showToast('Commit reverted', 'success');
+        this.loadData();
+      }
+
+    } catch (error) {
+      console.error('Error reverting commit:', error);
+      this.showToast('Failed to revert commit', 'error');
+    }
   }
 
   openOptions() {
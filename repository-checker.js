@@ -0,0 +1,397 @@
+/**
+ * Repository Checker
+ * An fsck for the stored repository: walks every commit, parent link, ref
+ * and tree object, reports what is inconsistent and repairs the problems
+ * that can be fixed from what is still stored.
+ */
+export default class RepositoryChecker {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+    this.objectStore = gitManager.objectStore;
+
+    // Repair actions, in the order repair() applies them: pruning needs
+    // valid refs and re-linked commits need new ids
+    this.repairs = ['refs', 'relink', 'rehash', 'stats', 'prune'];
+  }
+
+  async load() {
+    const gm = this.gitManager;
+    const result = await chrome.storage.local.get([gm.repositoryKey, gm.commitsKey, gm.branchKey]);
+
+    return {
+      repo: result[gm.repositoryKey],
+      commits: result[gm.commitsKey] || {},
+      currentBranch: result[gm.branchKey] || 'main',
+      objects: new Map(Object.entries(await this.objectStore.getAllObjects()))
+    };
+  }
+
+  /**
+   * Returns { commits, objects, problems, repairs }. Each problem is
+   * { type, severity, message, commit, repair } where `repair` names the
+   * repair() action that fixes it (null when nothing stored can);
+   * `repairs` counts the fixable problems per action.
+   */
+  async check() {
+    const state = await this.load();
+    const { repo, commits, objects } = state;
+    const problems = [];
+    const add = (type, severity, message, commit = null, repair = null) => {
+      problems.push({ type, severity, message, commit: commit && commit.substring(0, 8), repair });
+    };
+
+    for (const problem of this.findBadRefs(state)) {
+      add('bad-ref', 'error', problem, null, 'refs');
+    }
+
+    const status = new Map();
+    for (const [hash, commit] of Object.entries(commits)) {
+      for (const parent of this.parentsOf(commit)) {
+        if (!commits[parent]) {
+          add('missing-parent', 'error', `Parent ${parent.substring(0, 8)} is missing; history stops here`, hash, 'relink');
+        }
+      }
+
+      if (commit.hash !== hash || (await this.gitManager.hashCommit(commit)) !== hash) {
+        add('hash-mismatch', 'error', 'Commit content does not match its hash', hash, 'rehash');
+      }
+
+      const treeProblems = [];
+      if ((await this.verifySubtree(commit.tree, objects, status, treeProblems)) === 'ok') {
+        const stats = this.treeStats(commit.tree, objects);
+        if (!this.sameStats(stats, commit.stats)) {
+          add('stats-mismatch', 'warning',
+            `Stats say ${commit.stats?.totalBookmarks ?? '?'} bookmarks in ${commit.stats?.totalFolders ?? '?'} folders, ` +
+            `the tree has ${stats.totalBookmarks} in ${stats.totalFolders}`, hash, 'stats');
+        }
+      }
+      for (const message of treeProblems) {
+        add('bad-object', 'error', message, hash);
+      }
+    }
+
+    const reachable = this.gitManager.collectAncestors(this.refTips(repo).filter(hash => commits[hash]), commits);
+    const dangling = Object.keys(commits).filter(hash => !reachable.has(hash));
+    if (dangling.length > 0) {
+      add('dangling', 'warning', `${dangling.length} commits are not reachable from any branch or tag`, null, 'prune');
+    }
+
+    const used = this.usedObjects(Object.values(commits), objects);
+    const unused = [...objects.keys()].filter(hash => !used.has(hash)).length;
+    if (unused > 0) {
+      add('unused-objects', 'warning', `${unused} stored objects are not used by any commit`, null, 'prune');
+    }
+
+    const repairs = {};
+    for (const problem of problems) {
+      if (problem.repair) repairs[problem.repair] = (repairs[problem.repair] || 0) + 1;
+    }
+
+    return {
+      commits: Object.keys(commits).length,
+      objects: objects.size,
+      problems,
+      repairs
+    };
+  }
+
+  // Result for a tree and everything under it: 'ok', 'missing', 'corrupt'
+  // or 'damaged' (something below is missing or corrupt). Each bad object
+  // is reported once, against the first commit found using it.
+  async verifySubtree(hash, objects, status, problems) {
+    if (status.has(hash)) return status.get(hash);
+
+    const object = objects.get(hash);
+    let result = 'ok';
+    if (!object) {
+      result = 'missing';
+      problems.push(`Object ${hash.substring(0, 8)} is missing from the tree`);
+    } else if (!(await this.objectStore.verifyObject(hash, object))) {
+      result = 'corrupt';
+      problems.push(`Object ${hash.substring(0, 8)} does not match its hash`);
+    }
+    status.set(hash, result);
+
+    for (const entry of object?.type === 'tree' && Array.isArray(object.entries) ? object.entries : []) {
+      const child = await this.verifySubtree(entry.hash, objects, status, problems);
+      if (child !== 'ok' && result === 'ok') result = 'damaged';
+    }
+
+    status.set(hash, result);
+    return result;
+  }
+
+  treeStats(treeHash, objects) {
+    return this.gitManager.calculateStats([this.objectStore.buildFolder(treeHash, objects)]);
+  }
+
+  sameStats(a, b) {
+    return Boolean(b) && a.totalBookmarks === b.totalBookmarks && a.totalFolders === b.totalFolders &&
+      a.totalItems === b.totalItems;
+  }
+
+  findBadRefs({ repo, commits, currentBranch }) {
+    const problems = [];
+    const missing = (hash) => hash && !commits[hash];
+
+    if (missing(repo.head)) {
+      problems.push(`HEAD points at missing commit ${repo.head.substring(0, 8)}`);
+    } else if (!repo.head && Object.keys(commits).length > 0 && repo.branches[currentBranch]) {
+      problems.push('HEAD is empty although the current branch has commits');
+    }
+    if (!Object.prototype.hasOwnProperty.call(repo.branches, currentBranch)) {
+      problems.push(`Current branch '${currentBranch}' does not exist`);
+    }
+    for (const [kind, refs] of [['Branch', repo.branches], ['Tag', repo.tags], ['Remote branch', repo.remoteBranches]]) {
+      for (const [name, hash] of Object.entries(refs || {})) {
+        if (missing(hash)) problems.push(`${kind} '${name}' points at missing commit ${hash.substring(0, 8)}`);
+      }
+    }
+
+    return problems;
+  }
+
+  refTips(repo) {
+    return [
+      repo.head,
+      ...Object.values(repo.branches),
+      ...Object.values(repo.tags || {}),
+      ...Object.values(repo.remoteBranches || {})
+    ].filter(Boolean);
+  }
+
+  // Objects reachable from the trees of `commitList`, read from memory
+  usedObjects(commitList, objects) {
+    const used = new Set();
+    const stack = commitList.map(commit => commit.tree).filter(Boolean);
+
+    while (stack.length > 0) {
+      const hash = stack.pop();
+      if (used.has(hash)) continue;
+      used.add(hash);
+
+      const object = objects.get(hash);
+      for (const entry of object?.type === 'tree' && Array.isArray(object.entries) ? object.entries : []) {
+        stack.push(entry.hash);
+      }
+    }
+
+    return used;
+  }
+
+  parentsOf(commit) {
+    return commit.parents || (commit.parent ? [commit.parent] : []);
+  }
+
+  /**
+   * Apply the named repairs ('refs', 'relink', 'rehash', 'stats', 'prune')
+   * and save the result. Returns the number of items each one changed.
+   */
+  async repair(actions) {
+    const state = await this.load();
+    const selected = this.repairs.filter(action => (actions || []).includes(action));
+    const changed = {};
+
+    if (selected.includes('refs')) changed.refs = this.repairRefs(state);
+    if (selected.includes('relink')) changed.relink = this.relinkOrphans(state);
+    // Re-linking changes parents, so those commits need new ids as well
+    if (selected.includes('rehash') || changed.relink > 0) changed.rehash = await this.rehash(state);
+    if (selected.includes('stats')) changed.stats = this.recalculateStats(state);
+    if (selected.includes('prune')) changed.prune = await this.prune(state);
+
+    const gm = this.gitManager;
+    await chrome.storage.local.set({
+      [gm.repositoryKey]: state.repo,
+      [gm.commitsKey]: state.commits,
+      [gm.branchKey]: state.currentBranch
+    });
+    // Commits given new ids leave their old search shards behind
+    await gm.searchIndex.prune();
+
+    console.log('Repository repaired:', changed);
+    return changed;
+  }
+
+  // Broken refs: the current branch falls back to the newest commit,
+  // other refs to missing commits are removed and HEAD follows the
+  // current branch
+  repairRefs(state) {
+    const { repo, commits } = state;
+    const newest = this.newestCommit(commits);
+    let changed = 0;
+
+    if (!Object.prototype.hasOwnProperty.call(repo.branches, state.currentBranch)) {
+      repo.branches[state.currentBranch] = commits[repo.head] ? repo.head : newest;
+      changed++;
+    }
+    for (const key of ['branches', 'tags', 'remoteBranches']) {
+      for (const [name, hash] of Object.entries(repo[key] || {})) {
+        if (!hash || commits[hash]) continue;
+        if (key === 'branches' && name === state.currentBranch) {
+          repo.branches[name] = newest;
+        } else {
+          delete repo[key][name];
+        }
+        changed++;
+      }
+    }
+
+    const tip = repo.branches[state.currentBranch] || null;
+    if (repo.head !== tip) {
+      repo.head = tip;
+      changed++;
+    }
+
+    return changed;
+  }
+
+  newestCommit(commits) {
+    let newest = null;
+    for (const [hash, commit] of Object.entries(commits)) {
+      if (!newest || commit.committer.timestamp > commits[newest].committer.timestamp) newest = hash;
+    }
+    return newest;
+  }
+
+  // A commit whose parent is gone is attached to the newest earlier
+  // commit that isn't one of its own descendants, or becomes a root commit
+  relinkOrphans(state) {
+    const { commits } = state;
+    let changed = 0;
+
+    for (const [hash, commit] of Object.entries(commits)) {
+      const parents = this.parentsOf(commit);
+      if (parents.every(parent => commits[parent])) continue;
+
+      const kept = parents.filter(parent => commits[parent]);
+      if (!commits[commit.parent]) {
+        const descendants = this.descendantsOf(hash, commits);
+        const candidates = Object.keys(commits).filter(other =>
+          other !== hash && !descendants.has(other) && !kept.includes(other) &&
+          commits[other].committer.timestamp <= commit.committer.timestamp
+        );
+        candidates.sort((a, b) => commits[b].committer.timestamp - commits[a].committer.timestamp);
+        if (candidates.length > 0) kept.unshift(candidates[0]);
+      }
+
+      commit.parent = kept[0] || null;
+      if (kept.length > 1) {
+        commit.parents = kept;
+      } else {
+        delete commit.parents;
+      }
+      changed++;
+    }
+
+    return changed;
+  }
+
+  descendantsOf(hash, commits) {
+    const children = new Map();
+    for (const [child, commit] of Object.entries(commits)) {
+      for (const parent of this.parentsOf(commit)) {
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(child);
+      }
+    }
+
+    const descendants = new Set();
+    const stack = [...(children.get(hash) || [])];
+    while (stack.length > 0) {
+      const child = stack.pop();
+      if (descendants.has(child)) continue;
+      descendants.add(child);
+      stack.push(...(children.get(child) || []));
+    }
+    return descendants;
+  }
+
+  // Recompute every commit id from its content, parents first, and move
+  // refs to the new ids. Commits that already match keep their id.
+  async rehash(state) {
+    const { repo, commits } = state;
+    const renamed = new Map();
+    const rewritten = {};
+    let changed = 0;
+
+    for (const hash of this.gitManager.topologicalOrder(commits)) {
+      const commit = commits[hash];
+      const parents = this.parentsOf(commit).map(parent => renamed.get(parent) || parent);
+      const updated = { ...commit, parent: parents[0] || null };
+      if (commit.parents) updated.parents = parents;
+      updated.hash = await this.gitManager.hashCommit(updated);
+
+      if (updated.hash !== hash || commit.hash !== hash) changed++;
+      renamed.set(hash, updated.hash);
+      rewritten[updated.hash] = updated;
+    }
+
+    const rename = (hash) => (hash ? renamed.get(hash) || hash : hash);
+    repo.head = rename(repo.head);
+    for (const key of ['branches', 'tags', 'remoteBranches']) {
+      for (const [name, hash] of Object.entries(repo[key] || {})) {
+        repo[key][name] = rename(hash);
+      }
+    }
+
+    state.commits = rewritten;
+    return changed;
+  }
+
+  recalculateStats(state) {
+    const { commits, objects } = state;
+    const status = new Map();
+    let changed = 0;
+
+    for (const commit of Object.values(commits)) {
+      if (!this.isIntact(commit.tree, objects, status)) continue;
+
+      let stats;
+      try {
+        stats = this.treeStats(commit.tree, objects);
+      } catch (error) {
+        continue; // unreadable content; reported by check() as a bad object
+      }
+      if (!this.sameStats(stats, commit.stats)) {
+        commit.stats = stats;
+        changed++;
+      }
+    }
+
+    return changed;
+  }
+
+  // Every object under the tree is stored (hashes aside); enough to read it
+  isIntact(hash, objects, status) {
+    if (status.has(hash)) return status.get(hash);
+
+    const object = objects.get(hash);
+    status.set(hash, Boolean(object));
+    if (!object) return false;
+
+    const intact = object.type !== 'tree' ||
+      object.entries.every(entry => this.isIntact(entry.hash, objects, status));
+    status.set(hash, intact);
+    return intact;
+  }
+
+  // Drop commits no ref reaches, then objects no remaining commit uses
+  async prune(state) {
+    const { repo, commits, objects } = state;
+    const reachable = this.gitManager.collectAncestors(this.refTips(repo).filter(hash => commits[hash]), commits);
+    const dangling = Object.keys(commits).filter(hash => !reachable.has(hash));
+
+    for (const hash of dangling) {
+      delete commits[hash];
+    }
+
+    const used = this.usedObjects(Object.values(commits), objects);
+    const unused = [...objects.keys()].filter(hash => !used.has(hash));
+    await this.objectStore.removeObjects(unused);
+    for (const hash of unused) {
+      objects.delete(hash);
+    }
+
+    return dangling.length + unused.length;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Search Index
+ * Lets titles and URLs across the whole history be searched without
+ * reading each snapshot. Every commit gets its own small shard listing the
+ * bookmarks it added, changed and removed compared with its first parent,
+ * so storing a commit only writes what that commit changed. createCommit()
+ * saves the shard together with the commit; commits written any other way
+ * (imports, fetches, rewritten history) get theirs on the next search.
+ */
+export default class SearchIndex {
+  constructor(gitManager) {
+    this.gitManager = gitManager;
+    this.objectStore = gitManager.objectStore;
+    this.shardPrefix = 'search_idx_';
+    this.maxTitles = 10;
+    this.maxResults = 50;
+
+    // Bookmarks of the last tree indexed, so consecutive commits don't
+    // read their parent's tree back from storage
+    this.cached = null;
+  }
+
+  key(hash) {
+    return `${this.shardPrefix}${hash}`;
+  }
+
+  // A bookmark whose URL changed is a different search result
+  entryKey(node) {
+    return `${node.id} ${node.url}`;
+  }
+
+  /**
+   * The shard for a commit about to be stored, as { [key]: shard } ready to
+   * be saved along with it. Failing here must not fail the commit, so
+   * errors leave the shard to be built by the next search.
+   */
+  async shardFor(commit, bookmarkData, commits) {
+    try {
+      const parent = commits[commit.parent];
+      const before = parent ? await this.bookmarksOf(parent.tree) : new Map();
+      const after = this.bookmarksIn(bookmarkData);
+      this.cached = { tree: commit.tree, bookmarks: after };
+      return { [this.key(commit.hash)]: this.diff(before, after) };
+    } catch (error) {
+      console.warn('Could not index commit for search:', error);
+      return {};
+    }
+  }
+
+  bookmarksIn(bookmarkData) {
+    const bookmarks = new Map();
+    for (const node of this.gitManager.flattenTree(bookmarkData).values()) {
+      if (node.url) {
+        bookmarks.set(this.entryKey(node), { id: node.id, url: node.url, title: node.title, path: node.path });
+      }
+    }
+    return bookmarks;
+  }
+
+  async bookmarksOf(treeHash) {
+    if (this.cached?.tree === treeHash) {
+      return this.cached.bookmarks;
+    }
+    return this.bookmarksIn(await this.objectStore.readTree(treeHash));
+  }
+
+  diff(before, after) {
+    const shard = { added: [], changed: [], removed: [] };
+
+    for (const [key, node] of after) {
+      const old = before.get(key);
+      if (!old) {
+        shard.added.push(node);
+      } else if (old.title !== node.title || old.path.join('\n') !== node.path.join('\n')) {
+        shard.changed.push(node);
+      }
+    }
+    for (const key of before.keys()) {
+      if (!after.has(key)) shard.removed.push(key);
+    }
+
+    return shard;
+  }
+
+  // Shards for every commit in `order`, building and saving missing ones
+  async loadShards(commits, order) {
+    const stored = await chrome.storage.local.get(order.map(hash => this.key(hash)));
+    const shards = new Map();
+    const built = {};
+
+    for (const hash of order) {
+      let shard = stored[this.key(hash)];
+
+      if (!shard) {
+        const commit = commits[hash];
+        try {
+          Object.assign(built, await this.shardFor(commit, await this.objectStore.readTree(commit.tree), commits));
+          shard = built[this.key(hash)];
+        } catch (error) {
+          // Left out; the integrity check in Options reports broken trees
+          console.warn(`Could not index commit ${hash.substring(0, 8)}:`, error);
+        }
+      }
+
+      shards.set(hash, shard || { added: [], changed: [], removed: [] });
+    }
+
+    if (Object.keys(built).length > 0) {
+      await chrome.storage.local.set(built);
+    }
+    return shards;
+  }
+
+  /**
+   * Bookmarks whose URL or any title they ever had contains every word of
+   * `query`, with the commits they first and last appeared in, most
+   * recently seen first. Returns { results, total }.
+   */
+  async search(query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    const result = await chrome.storage.local.get([this.gitManager.commitsKey]);
+    const commits = result[this.gitManager.commitsKey] || {};
+    const order = this.gitManager.topologicalOrder(commits);
+    const shards = await this.loadShards(commits, order);
+
+    // Every bookmark ever stored, with all its titles and its latest state
+    const entries = new Map();
+    for (const hash of order) {
+      const timestamp = commits[hash].committer.timestamp;
+      const shard = shards.get(hash);
+
+      for (const node of [...shard.added, ...shard.changed]) {
+        const key = this.entryKey(node);
+        const entry = entries.get(key);
+
+        if (!entry) {
+          entries.set(key, { ...node, titles: [node.title], seen: timestamp, first: null, last: null });
+          continue;
+        }
+        if (timestamp >= entry.seen) {
+          Object.assign(entry, { title: node.title, path: node.path, seen: timestamp });
+        }
+        if (!entry.titles.includes(node.title) && entry.titles.length < this.maxTitles) {
+          entry.titles.push(node.title);
+        }
+      }
+    }
+
+    const matches = new Map([...entries].filter(([, entry]) => {
+      const text = `${entry.titles.join('\n')}\n${entry.url}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    }));
+
+    // Replay the shards to see which commits contain each match. Commits
+    // that touch none of them share their parent's set.
+    const present = new Map();
+    for (const hash of order) {
+      const commit = commits[hash];
+      const shard = shards.get(hash);
+      let contained = present.get(commit.parent) || new Set();
+
+      const added = shard.added.map(node => this.entryKey(node)).filter(key => matches.has(key));
+      const removed = shard.removed.filter(key => matches.has(key));
+      if (added.length > 0 || removed.length > 0) {
+        contained = new Set(contained);
+        added.forEach(key => contained.add(key));
+        removed.forEach(key => contained.delete(key));
+      }
+      present.set(hash, contained);
+
+      const seen = { hash, timestamp: commit.committer.timestamp };
+      for (const key of contained) {
+        const entry = matches.get(key);
+        if (!entry.first || seen.timestamp < entry.first.timestamp) entry.first = seen;
+        if (!entry.last || seen.timestamp >= entry.last.timestamp) entry.last = seen;
+      }
+    }
+
+    const found = [...matches.values()]
+      .filter(entry => entry.first)
+      .map(({ seen, ...entry }) => entry)
+      .sort((a, b) => b.last.timestamp - a.last.timestamp);
+
+    return { results: found.slice(0, this.maxResults), total: found.length };
+  }
+
+  // Drop the shards of commits that no longer exist, after history was
+  // squashed, repaired, replaced by an import or reset
+  async prune() {
+    const everything = await chrome.storage.local.get(null);
+    const commits = everything[this.gitManager.commitsKey] || {};
+    const stale = Object.keys(everything).filter(key =>
+      key.startsWith(this.shardPrefix) && !commits[key.substring(this.shardPrefix.length)]
+    );
+
+    if (stale.length > 0) {
+      await chrome.storage.local.remove(stale);
+    }
+    this.cached = null;
+  }
+}
@@ -0,0 +1,246 @@
+class TimeTravelController {
+  constructor() {
+    const params = new URLSearchParams(location.search);
+    this.initialHash = params.get('hash');
+    this.initialDate = params.get('date');
+    this.timeline = [];
+    this.startHash = null;
+    this.live = null;
+
+    this.initializeElements();
+    this.setupEventListeners();
+    this.loadTimeline();
+  }
+
+  initializeElements() {
+    this.timelineNote = document.getElementById('timeline-note');
+    this.slider = document.getElementById('timeline-slider');
+    this.timelineStart = document.getElementById('timeline-start');
+    this.timelineEnd = document.getElementById('timeline-end');
+    this.travelCommit = document.getElementById('travel-commit');
+    this.travelDate = document.getElementById('travel-date');
+    this.travelMessage = document.getElementById('travel-message');
+    this.toDate = document.getElementById('travel-to-date');
+    this.goButton = document.getElementById('travel-go');
+    this.previousButton = document.getElementById('travel-previous');
+    this.nextButton = document.getElementById('travel-next');
+    this.travelSummary = document.getElementById('travel-summary');
+    this.travelTree = document.getElementById('travel-tree');
+    this.toast = document.getElementById('toast');
+  }
+
+  setupEventListeners() {
+    // Label follows the slider while dragging; the tree loads on release
+    this.slider.addEventListener('input', () => this.showPosition(Number(this.slider.value)));
+    this.slider.addEventListener('change', () => this.travelTo(Number(this.slider.value)));
+    this.goButton.addEventListener('click', () => this.travelToDate());
+    this.previousButton.addEventListener('click', () => this.travelTo(Number(this.slider.value) - 1));
+    this.nextButton.addEventListener('click', () => this.travelTo(Number(this.slider.value) + 1));
+  }
+
+  async loadTimeline() {
+    try {
+      const [headLine, liveTree] = await Promise.all([
+        this.sendMessage({ action: 'getTimeline' }),
+        chrome.bookmarks.getTree()
+      ]);
+      let result = headLine;
+
+      // A commit off the current branch's line (another branch, or the
+      // merged side of a merge) gets the line leading up to it instead
+      if (result.success && this.initialHash && !result.timeline.some(entry => entry.hash === this.initialHash)) {
+        result = await this.sendMessage({ action: 'getTimeline', startHash: this.initialHash });
+        if (result.success) {
+          this.startHash = this.initialHash;
+          this.timelineNote.textContent =
+            `Commit ${this.initialHash.substring(0, 8)} is not on the current branch; showing the history leading up to it.`;
+          this.timelineNote.hidden = false;
+        }
+      }
+
+      if (!result.success || result.timeline.length === 0) {
+        this.showError(result.error || 'No commits yet');
+        return;
+      }
+
+      this.timeline = result.timeline;
+      this.live = this.indexLiveTree(liveTree);
+      this.slider.max = this.timeline.length - 1;
+      this.slider.disabled = false;
+      this.timelineStart.textContent = new Date(this.timeline[0].timestamp).toLocaleDateString();
+      this.timelineEnd.textContent = new Date(this.timeline[this.timeline.length - 1].timestamp).toLocaleDateString();
+
+      if (this.initialDate) {
+        this.toDate.value = this.initialDate;
+        await this.travelToDate();
+        return;
+      }
+
+      // Without ?hash= the latest commit is shown
+      const index = this.initialHash
+        ? this.timeline.findIndex(entry => entry.hash === this.initialHash)
+        : this.timeline.length - 1;
+      await this.travelTo(index);
+    } catch (error) {
+      console.error('Error loading timeline:', error);
+      this.showError('Failed to load history');
+    }
+  }
+
+  async travelToDate() {
+    const timestamp = new Date(this.toDate.value).getTime();
+    if (!Number.isFinite(timestamp)) {
+      this.showToast('Choose a date first', 'warning');
+      return;
+    }
+
+    const result = await this.sendMessage({ action: 'getCommitAt', timestamp, startHash: this.startHash });
+    if (!result.success) {
+      this.showToast(result.error || 'No commit found for that date', 'error');
+      return;
+    }
+
+    const index = this.timeline.findIndex(entry => entry.hash === result.commit.hash);
+    if (index === -1) {
+      // The branch moved since the page loaded
+      this.showToast('History has changed since this page was opened; reload it', 'error');
+      return;
+    }
+    await this.travelTo(index);
+  }
+
+  showPosition(index) {
+    const entry = this.timeline[index];
+    this.travelCommit.innerHTML = `<a href="commit.html?hash=${encodeURIComponent(entry.hash)}">${entry.shortHash}</a>`;
+    this.travelDate.textContent = new Date(entry.timestamp).toLocaleString();
+    this.travelMessage.textContent = entry.message;
+  }
+
+  async travelTo(index) {
+    if (index < 0 || index >= this.timeline.length) return;
+
+    const entry = this.timeline[index];
+    this.slider.value = index;
+    this.previousButton.disabled = index === 0;
+    this.nextButton.disabled = index === this.timeline.length - 1;
+    this.showPosition(index);
+    history.replaceState(null, '', `?hash=${encodeURIComponent(entry.hash)}`);
+
+    const result = await this.sendMessage({ action: 'getCommitData', commitHash: entry.hash });
+
+    // The slider may have moved on while this commit was loading
+    if (Number(this.slider.value) !== index) return;
+
+    if (!result.success) {
+      this.travelSummary.textContent = result.error || 'Failed to load bookmarks';
+      this.travelTree.innerHTML = '';
+      return;
+    }
+
+    const [root] = result.data;
+    const counts = { bookmarks: 0, folders: 0, gone: 0 };
+    this.travelTree.innerHTML = (root.children || []).map(node => this.renderNode(node, [], 0, counts)).join('');
+    this.travelSummary.textContent =
+      `${counts.bookmarks} bookmarks and ${counts.folders} folders on ${new Date(entry.timestamp).toLocaleString()}` +
+      (counts.gone > 0 ? `; ${counts.gone} of them no longer exist today.` : '; all of them still exist today.');
+  }
+
+  // Live bookmarks are matched by URL and folders by id or folder path,
+  // so items recreated since don't count as gone
+  indexLiveTree(tree) {
+    const live = { urls: new Set(), folderIds: new Set(), folderPaths: new Set() };
+
+    const visit = (node, path) => {
+      if (node.url) {
+        live.urls.add(node.url);
+        return;
+      }
+      const folderPath = [...path, node.title || ''];
+      live.folderIds.add(node.id);
+      live.folderPaths.add(folderPath.join('\n'));
+      for (const child of node.children || []) {
+        visit(child, folderPath);
+      }
+    };
+
+    for (const node of tree[0].children || []) {
+      visit(node, []);
+    }
+    return live;
+  }
+
+  renderNode(node, path, depth, counts) {
+    const title = node.title || node.url || 'Untitled';
+
+    if (node.url) {
+      const gone = !this.live.urls.has(node.url);
+      counts.bookmarks++;
+      if (gone) counts.gone++;
+
+      return `
+        <div class="snapshot-node ${gone ? 'gone' : ''}">
+          <img class="change-icon" src="${this.faviconUrl(node.url)}" alt="" />
+          <a class="snapshot-title" href="${this.escapeHtml(node.url)}" target="_blank" title="${this.escapeHtml(node.url)}">${this.escapeHtml(title)}</a>
+          ${gone ? '<span class="gone-badge">Gone today</span>' : ''}
+        </div>
+      `;
+    }
+
+    const folderPath = [...path, node.title || ''];
+    const gone = !this.live.folderIds.has(node.id) && !this.live.folderPaths.has(folderPath.join('\n'));
+    const children = node.children || [];
+    counts.folders++;
+    if (gone) counts.gone++;
+
+    return `
+      <details class="snapshot-folder"${depth === 0 ? ' open' : ''}>
+        <summary class="snapshot-node ${gone ? 'gone' : ''}">
+          <span class="change-icon folder-icon"></span>
+          <span class="snapshot-title">${this.escapeHtml(title)} <span class="snapshot-count">(${children.length})</span></span>
+          ${gone ? '<span class="gone-badge">Gone today</span>' : ''}
+        </summary>
+        <div class="snapshot-children">
+          ${children.map(child => this.renderNode(child, folderPath, depth + 1, counts)).join('')}
+        </div>
+      </details>
+    `;
+  }
+
+  faviconUrl(url) {
+    return `${chrome.runtime.getURL('/_favicon/')}?pageUrl=${encodeURIComponent(url)}&size=16`;
+  }
+
+  showError(message) {
+    this.travelSummary.textContent = message;
+    this.travelTree.innerHTML = '';
+    this.showToast(message, 'error');
+  }
+
+  showToast(message, type = 'info') {
+    this.toast.textContent = message;
+    this.toast.className = `toast toast-${type} show`;
+
+    setTimeout(() => {
+      this.toast.classList.remove('show');
+    }, 3000);
+  }
+
+  async sendMessage(message) {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        resolve(response || {});
+      });
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Initialize time travel view when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new TimeTravelController();
+});
@@ -0,0 +1,341 @@
+/**
+ * Tree Merger
+ * Three-way merge of bookmark trees (chrome.bookmarks.getTree() shape)
+ * against their common ancestor
+ */
+export default class TreeMerger {
+  constructor() {
+    this.fields = ['title', 'url', 'parentId'];
+  }
+
+  /**
+   * Merge `theirs` into `ours` using `base` (null when the histories share
+   * no ancestor). `resolutions` maps a conflicting node id to 'ours' or
+   * 'theirs'. Returns { tree, conflicts }; every conflict carries its
+   * `resolution`, which is null while the user hasn't picked a side (the
+   * tree then keeps our version).
+   */
+  merge(base, ours, theirs, resolutions = {}) {
+    const state = {
+      base: this.indexTree(base),
+      ours: this.indexTree(ours),
+      theirs: this.indexTree(theirs),
+      resolutions,
+      result: new Map(),
+      conflicts: new Map()
+    };
+
+    this.matchNewNodes(state);
+
+    const ids = new Set([...state.base.keys(), ...state.ours.keys(), ...state.theirs.keys()]);
+    const rootId = this.rootId(state);
+    ids.delete(rootId);
+
+    for (const id of ids) {
+      this.mergeNode(id, state);
+    }
+
+    this.resolveOrphans(rootId, state);
+    this.breakCycles(rootId, state);
+
+    const root = state.ours.get(rootId) || state.theirs.get(rootId);
+    return {
+      tree: [this.buildFolder(root, null, 0, state)],
+      conflicts: [...state.conflicts.values()]
+    };
+  }
+
+  // Flat id -> node map; `children` holds child ids in order
+  indexTree(bookmarkData) {
+    const nodes = new Map();
+    const visit = (node, parentId) => {
+      const { children, index, ...fields } = node;
+      nodes.set(node.id, {
+        ...fields,
+        title: node.title || '',
+        parentId,
+        children: children ? children.map(child => child.id) : undefined
+      });
+      for (const child of children || []) {
+        visit(child, node.id);
+      }
+    };
+
+    const root = Array.isArray(bookmarkData) ? bookmarkData[0] : bookmarkData;
+    if (root) visit(root, null);
+    return nodes;
+  }
+
+  rootId(state) {
+    for (const side of [state.ours, state.theirs, state.base]) {
+      for (const node of side.values()) {
+        if (node.parentId === null) return node.id;
+      }
+    }
+    return '0';
+  }
+
+  /**
+   * Histories from different browsers use different bookmark ids. Nodes
+   * that are new on both sides are paired by URL (bookmarks) or title
+   * (folders) within the same parent, and their ids are unified so the
+   * merge doesn't duplicate them.
+   */
+  matchNewNodes(state) {
+    const isNew = (id) => !state.base.has(id);
+    const keyOf = (node, parentId) => `${parentId}|${node.url ? `b:${node.url}` : `f:${node.title}`}`;
+
+    const candidates = new Map();
+    for (const [id, node] of state.ours) {
+      if (!isNew(id) || state.theirs.has(id) || node.parentId === null) continue;
+      const key = keyOf(node, node.parentId);
+      if (!candidates.has(key)) candidates.set(key, []);
+      candidates.get(key).push(id);
+    }
+
+    const renamed = new Map();
+    const depth = (id) => {
+      let count = 0;
+      for (let node = state.theirs.get(id); node && node.parentId !== null; node = state.theirs.get(node.parentId)) {
+        count++;
+      }
+      return count;
+    };
+    const pending = [...state.theirs.keys()]
+      .filter(id => isNew(id) && !state.ours.has(id))
+      .sort((a, b) => depth(a) - depth(b));
+
+    for (const id of pending) {
+      const node = state.theirs.get(id);
+      if (node.parentId === null) continue;
+      const parentId = renamed.get(node.parentId) || node.parentId;
+      const match = candidates.get(keyOf(node, parentId))?.shift();
+      if (match) renamed.set(id, match);
+    }
+
+    if (renamed.size === 0) return;
+
+    const rename = (id) => renamed.get(id) || id;
+    const theirs = new Map();
+    for (const [id, node] of state.theirs) {
+      theirs.set(rename(id), {
+        ...node,
+        id: rename(id),
+        parentId: node.parentId === null ? null : rename(node.parentId),
+        children: node.children ? node.children.map(rename) : undefined
+      });
+    }
+    state.theirs = theirs;
+  }
+
+  mergeNode(id, state) {
+    const base = state.base.get(id);
+    const ours = state.ours.get(id);
+    const theirs = state.theirs.get(id);
+
+    if (ours && theirs) {
+      const merged = { ...ours };
+      const conflicting = [];
+
+      for (const field of this.fields) {
+        if (ours[field] === theirs[field]) continue;
+        if (base && ours[field] === base[field]) {
+          merged[field] = theirs[field];
+        } else if (!base || theirs[field] !== base[field]) {
+          conflicting.push(field);
+        }
+      }
+
+      if (conflicting.length === 0) {
+        state.result.set(id, merged);
+        return;
+      }
+
+      const type = conflicting.includes('parentId') && conflicting.length === 1 ? 'moved' : 'modified';
+      // Only the conflicting fields follow the resolution; changes made on
+      // one side only are already in `merged`
+      const resolution = this.addConflict(id, type, state, conflicting);
+      state.result.set(id, { ...merged, ...this.pick(resolution === 'theirs' ? theirs : ours, conflicting) });
+      return;
+    }
+
+    if (!ours && !theirs) return;
+
+    const kept = ours || theirs;
+    const keptSide = ours ? 'ours' : 'theirs';
+
+    // Added on one side only
+    if (!base) {
+      state.result.set(id, { ...kept });
+      return;
+    }
+
+    // Deleted on one side: fine unless the other side changed it
+    if (this.fields.every(field => kept[field] === base[field])) return;
+
+    const resolution = this.addConflict(id, 'deleted', state);
+    if ((resolution || 'ours') === keptSide) {
+      state.result.set(id, { ...kept });
+    }
+  }
+
+  // Items whose parent folder was deleted on the other side
+  resolveOrphans(rootId, state) {
+    let changed = true;
+
+    while (changed) {
+      changed = false;
+
+      for (const [id, node] of state.result) {
+        const parentId = node.parentId;
+        if (parentId === rootId || state.result.has(parentId)) continue;
+
+        const ours = state.ours.get(parentId);
+        const theirs = state.theirs.get(parentId);
+        const keptSide = ours ? 'ours' : 'theirs';
+
+        if (!state.conflicts.has(parentId) && (ours || theirs)) {
+          this.addConflict(parentId, 'deletedParent', state);
+        }
+
+        const resolution = state.conflicts.get(parentId)?.resolution || 'ours';
+        if ((ours || theirs) && resolution === keptSide) {
+          state.result.set(parentId, { ...(ours || theirs) });
+        } else {
+          this.removeWithDescendants(id, state);
+        }
+        changed = true;
+        break;
+      }
+    }
+  }
+
+  removeWithDescendants(id, state) {
+    state.result.delete(id);
+    for (const [childId, node] of state.result) {
+      if (node.parentId === id) this.removeWithDescendants(childId, state);
+    }
+  }
+
+  // Crossed moves (A into B on one side, B into A on the other) fall back
+  // to our placement
+  breakCycles(rootId, state) {
+    for (const [id, node] of state.result) {
+      const seen = new Set([id]);
+      for (let parentId = node.parentId; parentId !== rootId && state.result.has(parentId);
+        parentId = state.result.get(parentId).parentId) {
+        if (seen.has(parentId)) {
+          for (const cycleId of seen) {
+            const ours = state.ours.get(cycleId);
+            if (ours) state.result.get(cycleId).parentId = ours.parentId;
+          }
+          break;
+        }
+        seen.add(parentId);
+      }
+    }
+  }
+
+  addConflict(id, type, state, fields = []) {
+    const describe = (node, side) => node ? {
+      title: node.title,
+      url: node.url,
+      path: this.pathOf(node, side)
+    } : null;
+
+    const ours = state.ours.get(id);
+    const theirs = state.theirs.get(id);
+    const base = state.base.get(id);
+    const node = ours || theirs || base;
+    const resolution = ['ours', 'theirs'].includes(state.resolutions[id]) ? state.resolutions[id] : null;
+
+    state.conflicts.set(id, {
+      id,
+      type,
+      fields,
+      kind: node.url ? 'bookmark' : 'folder',
+      title: node.title,
+      base: describe(base, state.base),
+      ours: describe(ours, state.ours),
+      theirs: describe(theirs, state.theirs),
+      resolution
+    });
+
+    return resolution;
+  }
+
+  pick(node, fields = this.fields) {
+    return Object.fromEntries(fields.map(field => [field, node[field]]));
+  }
+
+  pathOf(node, side) {
+    const path = [];
+    for (let parent = side.get(node.parentId); parent && parent.parentId !== null; parent = side.get(parent.parentId)) {
+      path.unshift(parent.title);
+    }
+    return path;
+  }
+
+  /**
+   * Child order for a merged folder: the side that reordered the shared
+   * children wins, and items only the other side has are slotted in after
+   * the sibling they followed there.
+   */
+  orderChildren(folderId, state) {
+    const children = new Set(
+      [...state.result.values()].filter(node => node.parentId === folderId).map(node => node.id)
+    );
+    const orderOf = (side) => (side.get(folderId)?.children || []).filter(id => children.has(id));
+
+    const ours = orderOf(state.ours);
+    const theirs = orderOf(state.theirs);
+    const base = orderOf(state.base);
+
+    const common = new Set(ours.filter(id => theirs.includes(id) && base.includes(id)));
+    const oursReordered = ours.filter(id => common.has(id)).join() !== base.filter(id => common.has(id)).join();
+
+    const skeleton = oursReordered || theirs.length === 0 ? ours : theirs;
+    const other = skeleton === ours ? theirs : ours;
+    const order = [...skeleton];
+
+    other.forEach((id, i) => {
+      if (order.includes(id)) return;
+      const previous = other.slice(0, i).reverse().find(sibling => order.includes(sibling));
+      order.splice(previous ? order.indexOf(previous) + 1 : 0, 0, id);
+    });
+
+    for (const id of children) {
+      if (!order.includes(id)) order.push(id);
+    }
+
+    return order;
+  }
+
+  buildFolder(source, parentId, index, state) {
+    const folder = {
+      ...this.withoutStructure(source),
+      ...(parentId !== null ? { parentId, index } : {}),
+      children: []
+    };
+
+    for (const id of this.orderChildren(source.id, state)) {
+      const node = state.result.get(id);
+      const childIndex = folder.children.length;
+
+      if (node.children) {
+        folder.children.push(this.buildFolder(node, folder.id, childIndex, state));
+      } else {
+        folder.children.push({ ...this.withoutStructure(node), parentId: folder.id, index: childIndex });
+      }
+    }
+
+    return folder;
+  }
+
+  withoutStructure(node) {
+    const fields = { ...node };
+    delete fields.parentId;
+    delete fields.children;
+    return fields;
+  }
+}